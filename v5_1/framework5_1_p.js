@@ -6,12 +6,15 @@
  *
  * Direct worksheet use remains unchanged: snapshots are created only when valid portal
  * class and task codes are present in the outgoing submission payload.
+ *
+ * ESHEETS.init({ portal: { url, headers } }) redirects v5.1o's submissions to another
+ * portal; v5.1o itself always posts to the default portal.
  */
 (function () {
     'use strict';
 
     var BASE_FRAMEWORK_URL = 'https://assets.esheets.io/v5_1/framework5_1_o.js';
-    var PORTAL_SUBMISSION_URL = 'https://portal.esheets.io/api/submissions';
+    var DEFAULT_PORTAL_URL = 'https://portal.esheets.io/api/submissions';
     var SNAPSHOT_FORMAT_VERSION = 1;
     var CLIENT_SNAPSHOT_LIMIT = 440 * 1024;
     var TRACKING_CODE_REGEX = /^[A-HJ-NP-Z2-9]{5}$/;
@@ -21,6 +24,8 @@
         window.ESHEETS.__snapshotProductionInstalled = true;
 
         var answerItemsProvider = null;
+        var portalUrl = DEFAULT_PORTAL_URL;
+        var portalHeaders = {};
 
         function escapeHtml(value) {
             return String(value == null ? '' : value)
@@ -344,9 +349,52 @@
                 TRACKING_CODE_REGEX.test(String(payload.task_code || '').trim().toUpperCase());
         }
 
-        function isPortalSubmissionRequest(input) {
+        function getRequestUrl(input) {
             var url = typeof input === 'string' ? input : (input && input.url ? input.url : '');
-            return String(url || '').replace(/\/+$/, '') === PORTAL_SUBMISSION_URL;
+            return String(url || '').replace(/\/+$/, '');
+        }
+
+        function isPortalSubmissionRequest(input) {
+            var url = getRequestUrl(input);
+            return url === DEFAULT_PORTAL_URL || url === portalUrl;
+        }
+
+        function configurePortal(options) {
+            if (!options || typeof options !== 'object') return;
+
+            if (typeof options.url === 'string' && options.url.trim()) {
+                var url = normaliseUrl(options.url.trim(), window.location.href);
+                if (url) {
+                    portalUrl = url.replace(/\/+$/, '');
+                } else {
+                    console.warn('ESHEETS: invalid portal url; using the default portal');
+                }
+            }
+
+            if (options.headers && typeof options.headers === 'object') {
+                portalHeaders = {};
+                Object.keys(options.headers).forEach(function (name) {
+                    portalHeaders[name] = String(options.headers[name]);
+                });
+            }
+
+            if (options.transport != null && options.transport !== 'fetch') {
+                console.warn('ESHEETS: v5.1p only submits with fetch; portal.transport is ignored.');
+            }
+        }
+
+        // v5.1o posts to the default portal with its own headers only.
+        function redirectToConfiguredPortal(input, init) {
+            if (portalUrl === DEFAULT_PORTAL_URL || getRequestUrl(input) !== DEFAULT_PORTAL_URL) {
+                return { input: input, init: init };
+            }
+
+            var amended = {};
+            Object.keys(init || {}).forEach(function (key) { amended[key] = init[key]; });
+            var headers = new Headers(amended.headers || (typeof input === 'string' ? undefined : input.headers));
+            Object.keys(portalHeaders).forEach(function (name) { headers.set(name, portalHeaders[name]); });
+            amended.headers = headers;
+            return { input: portalUrl, init: amended };
         }
 
         function addSnapshotsToRequest(input, init) {
@@ -397,7 +445,16 @@
                 } catch (error) {
                     console.warn('ESHEETS: snapshot preparation failed; submitting the score without snapshots.', error);
                 }
-                return originalFetch(input, amendedInit);
+                var request = redirectToConfiguredPortal(input, amendedInit);
+                return originalFetch(request.input, request.init);
+            };
+        }
+
+        var originalInit = window.ESHEETS.init;
+        if (typeof originalInit === 'function') {
+            window.ESHEETS.init = function (options) {
+                configurePortal(options && options.portal);
+                return originalInit.apply(this, arguments);
             };
         }
 
@@ -6,12 +6,27 @@
  * Scoped, safe, and feature-rich.
  *
  * Usage:
- *   ESHEETS.init({ worksheet_id: 'unique_id', meta: {} });
+ *   ESHEETS.init({ worksheet_id: 'unique_id', meta: {}, portal: { url, headers, transport } });  // transport: 'fetch' | 'echo' | fn
  *   ESHEETS.setScore(score, maxScore); 
  *   ESHEETS.lockCorrectAnswer(input, button);
  *   ESHEETS.mountSubmissionBar({ ... });
  *   ESHEETS.mountIdentityBar({ ... });
  *   ESHEETS.setTrackingAdapter(fn);
+ *   ESHEETS.useSubmissionStep(fn, { stage: 'payload' });
+ *   ESHEETS.on('score' | 'submit:success' | ..., fn);  // also once/off
+ *   ESHEETS.random(); ESHEETS.randomInt(a, b); ESHEETS.pick(list);  // seeded per attempt
+ *   <input data-es-answer="3/4" data-es-check="fraction-simplest">  // checked, scored and locked for you
+ *   ESHEETS.answers.register(kind, fn); ESHEETS.wireAnswers();  // custom data-es-check kinds; wire inputs added later
+ *   ESHEETS.answers.check('ratio-simplest', '4:6', '2:3');  // { status: 'equivalent', correct: false, message }
+ *   ESHEETS.answers.expression('x^2+5x+6', '(x+2)(x+3)', { form: 'factorised' });
+ *   ESHEETS.registerQuestion({ id: 'q3', marks: 3, parts: [{ input: '#q3a', marks: 1 }, { input: '#q3b', marks: 2 }] });
+ *   <input data-es-answer="12" data-es-hints="Add the tens first | 7 + 5 = ?">  // or item.hints; each hint costs marks
+ *   ESHEETS.mountTeacherPanel({ ... });  // Reveal Answers locks recording; per-question Reveal zeroes just that question (or locks, if the sheet scores itself)
+ *   { inputEl: el, answer: '12', solution: ['7 + 5', '= 12'] }  // answer item; solution is steps or HTML
+ *   ESHEETS.init({ worksheet_id: 'id', mode: 'exam', timeLimit: 1200 });  // countdown; feedback and score at the end
+ *   ESHEETS.exportProgress(); ESHEETS.importProgress(fileOrCode);  // move progress between devices
+ *   var ws = ESHEETS.init({ root: '#worksheet-b', worksheet_id: 'b' });  // one per .esheets-worksheet; without root, the next uninitialised one
+ *   ws.mountSubmissionBar({ ... }); ws.setScore(score, maxScore);
  */
 (function () {
     'use strict';
@@ -20,6 +35,26 @@
     var LEGACY_KEY = 'esheets:v1:progress';
     var IDENTITY_KEY = 'esheets:v5:identity';
     var BROWSER_CODE_KEY = 'esheets_browser_device_code';
+    var OUTBOX_KEY = 'esheets:v5:outbox';
+    var DEFAULT_PORTAL_URL = 'https://portal.esheets.io/api/submissions';
+
+    var OUTBOX_MAX_ENTRIES = 10;
+    // The outbox shares the origin's storage quota with progress and identity, so it stays well
+    // below it (in UTF-16 characters, as localStorage counts them).
+    var OUTBOX_MAX_CHARS = 1200 * 1024;
+    var OUTBOX_MAX_AGE = 14 * 24 * 60 * 60 * 1000;
+    var OUTBOX_RETRY_BASE = 15 * 1000;
+    var OUTBOX_RETRY_MAX = 10 * 60 * 1000;
+    var OUTBOX_SENDING_TIMEOUT = 60 * 1000;
+    // Browsers refuse keepalive requests (and beacons) above about 64 KB.
+    var KEEPALIVE_BODY_LIMIT = 63 * 1024;
+
+    // Version 2 progress records carry a capped history of recorded attempts.
+    var PROGRESS_SCHEMA_VERSION = 2;
+    var PROGRESS_HISTORY_MAX = 30;
+
+    // Submission steps run stage by stage, then in registration order within a stage.
+    var SUBMISSION_STAGES = ['identity', 'payload', 'snapshots', 'budget', 'transport'];
 
     function getBrowserDeviceCode() {
         try {
@@ -38,13 +73,27 @@
         }
     }
 
-    var meta = {};
-    var worksheetMeta = {};
-    var isMounted = false;
+    var worksheets = [];
+    var defaultWorksheet = null;
     var trackingAdapter = null;
-    var lockoutActive = false;
-    var lockoutUIHandler = function () { };
-    var hideBadgeUntilNextSubmit = false;
+    var submissionSteps = [];
+    var eventListeners = {};
+    var checkAttempts = new WeakMap();
+    var revealedStudentValues = new WeakMap();
+    var solutionBoxes = new WeakMap();
+    var teacherPanels = [];
+    var teacherShortcutBound = false;
+    var identityBars = [];
+    var ownRecordWrites = {};
+    var outboxListeners = [];
+    var outboxTimer = null;
+    var outboxFlushing = false;
+
+    var portalConfig = {
+        url: DEFAULT_PORTAL_URL,
+        headers: {},
+        transport: 'fetch'
+    };
 
     var launchTracking = {
         class_code: "",
@@ -52,17 +101,132 @@
         active: false
     };
 
+    // --- Worksheet state ---
+    // Each .esheets-worksheet root bound by init() gets its own state. Calls made
+    // on window.ESHEETS itself act on the first worksheet initialised on the page.
+
+    function createWorksheetState(root) {
+        return {
+            root: root,
+            meta: {},
+            worksheetMeta: {},
+            isMounted: false,
+            lockoutActive: false,
+            lockoutUIHandler: function () { },
+            hideBadgeUntilNextSubmit: false,
+            answerItemsProvider: null,
+            summaryContainers: [],
+            declarativeGroups: [],
+            questions: [],
+            hintWidgets: [],
+            teacherPanelEl: null,
+            revealWidgets: [],
+            revealedQuestions: [],
+            solutionsOffered: false,
+            exam: null,
+            lastScore: null,
+            submissionBar: null,
+            transferNotice: null,
+            currentSeed: null,
+            rngState: 0,
+            rngUsed: false,
+            instance: null
+        };
+    }
+
+    function getWorksheetState(target) {
+        if (target && Object.prototype.hasOwnProperty.call(target, '__worksheet')) return target.__worksheet;
+        if (!defaultWorksheet) defaultWorksheet = createWorksheetState(null);
+        return defaultWorksheet;
+    }
+
+    function resolveWorksheetRoot(root) {
+        if (typeof root === 'string') root = document.querySelector(root);
+        if (root && root.nodeType === 1) {
+            return root.classList.contains('esheets-worksheet') ? root : root.closest('.esheets-worksheet');
+        }
+        return null;
+    }
+
+    function findUnboundWorksheetRoot() {
+        var roots = document.querySelectorAll('.esheets-worksheet');
+        for (var i = 0; i < roots.length; i++) {
+            var bound = worksheets.some(function (ws) { return ws.root === roots[i] && ws.isMounted; });
+            if (!bound) return roots[i];
+        }
+        return null;
+    }
+
+    function bindWorksheet(target, root) {
+        var ws = null;
+        for (var i = 0; i < worksheets.length; i++) {
+            if (worksheets[i].root === root) ws = worksheets[i];
+        }
+
+        if (!ws) {
+            var current = target && Object.prototype.hasOwnProperty.call(target, '__worksheet') ? target.__worksheet : defaultWorksheet;
+            // Adopt a state that was used before init (e.g. ESHEETS.random() drawn early).
+            ws = current && !current.root ? current : createWorksheetState(null);
+            ws.root = root;
+            worksheets.push(ws);
+        }
+
+        if (!defaultWorksheet || !defaultWorksheet.root) defaultWorksheet = ws;
+
+        if (!ws.instance) {
+            ws.instance = Object.create(window.ESHEETS);
+            ws.instance.__worksheet = ws;
+            ws.instance.root = root;
+        }
+        return ws;
+    }
+
+    function getScopeRoot(ws) {
+        return ws.root || document;
+    }
+
+    function worksheetForElement(el) {
+        if (!el) return null;
+        for (var i = 0; i < worksheets.length; i++) {
+            if (worksheets[i].root && worksheets[i].root.contains(el)) return worksheets[i];
+        }
+        return null;
+    }
+
+    // Teacher mode is page-wide, so every mounted panel follows it together.
+    function setTeacherMode(isTeacher) {
+        document.documentElement.classList.toggle('esheets-teacher', isTeacher);
+        teacherPanels.forEach(function (panelEl) {
+            panelEl.style.display = isTeacher ? 'flex' : 'none';
+        });
+        syncQuestionRevealButtons();
+    }
+
     // --- Internal Helpers ---
 
+    function emit(name, detail) {
+        var listeners = eventListeners[name];
+        if (!listeners || !listeners.length) return;
+
+        eventListeners[name] = listeners.filter(function (entry) { return !entry.once; });
+        listeners.forEach(function (entry) {
+            try {
+                entry.fn.call(window.ESHEETS, detail || {});
+            } catch (e) {
+                console.warn('ESHEETS: "' + name + '" listener error', e);
+            }
+        });
+    }
+
     function getStorage() {
         try {
             var raw = localStorage.getItem(STORAGE_KEY);
-            if (raw) return JSON.parse(raw);
+            if (raw) return migrateProgress(JSON.parse(raw));
 
             var legacy = localStorage.getItem(LEGACY_KEY);
             if (legacy) {
                 try {
-                    return JSON.parse(legacy);
+                    return migrateProgress(JSON.parse(legacy));
                 } catch (e) {
                     return {};
                 }
@@ -74,6 +238,39 @@
         }
     }
 
+    // Older records only know their last and best scores; the last one becomes the first history entry.
+    function migrateRecord(record) {
+        if (!record || typeof record !== 'object' || record.schema >= PROGRESS_SCHEMA_VERSION) return record;
+
+        var history = [];
+        if (record.submittedAt) {
+            history.push({
+                n: 1,
+                date: record.submittedAt,
+                score: record.lastScore || 0,
+                maxScore: record.maxScore || 0,
+                percent: record.lastPercent || 0,
+                badge: record.lastBadge ? record.lastBadge.name : null,
+                seed: null,
+                revealed: false
+            });
+        }
+
+        record.history = history;
+        record.historyCount = history.length;
+        record.bestAttemptNumber = history.length && Math.abs((record.lastPercent || 0) - (record.bestPercent || 0)) < 0.001 ? 1 : null;
+        record.schema = PROGRESS_SCHEMA_VERSION;
+        return record;
+    }
+
+    function migrateProgress(data) {
+        if (!data || typeof data !== 'object') return {};
+        for (var id in data) {
+            if (Object.prototype.hasOwnProperty.call(data, id)) migrateRecord(data[id]);
+        }
+        return data;
+    }
+
     function setStorage(data) {
         try {
             localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
@@ -82,140 +279,3069 @@
         }
     }
 
-    function getIdentityStorage() {
-        try {
-            var raw = localStorage.getItem(IDENTITY_KEY);
-            var data = raw ? JSON.parse(raw) : {};
+    function getIdentityStorage() {
+        try {
+            var raw = localStorage.getItem(IDENTITY_KEY);
+            var data = raw ? JSON.parse(raw) : {};
+
+            var identity = {
+                first_name: data.first_name || "",
+                last_name: data.last_name || ""
+            };
+
+            if (data.student_name) {
+                var parts = data.student_name.trim().split(/\s+/);
+                if (parts.length > 0) {
+                    if (!identity.first_name) identity.first_name = parts[0];
+                    if (!identity.last_name) identity.last_name = parts.slice(1).join(' ');
+                }
+            }
+
+            return identity;
+        } catch (e) {
+            return { first_name: "", last_name: "", class_code: "" };
+        }
+    }
+
+    function setIdentityStorage(data) {
+        try {
+            localStorage.setItem(IDENTITY_KEY, JSON.stringify(data));
+        } catch (e) {
+            console.error('ESHEETS: identity write error', e);
+        }
+    }
+
+    function getRecord(id) {
+        if (!id) return null;
+        var data = getStorage();
+        return data[id] || null;
+    }
+
+    function saveRecord(id, updates) {
+        if (!id) return;
+        var data = getStorage();
+        var record = data[id] || {
+            schema: PROGRESS_SCHEMA_VERSION,
+            bestScore: 0,
+            maxScore: 0,
+            bestPercent: 0,
+            lastScore: 0,
+            lastPercent: 0,
+            submittedAt: null,
+            history: [],
+            historyCount: 0,
+            bestAttemptNumber: null
+        };
+
+        for (var key in updates) {
+            if (Object.prototype.hasOwnProperty.call(updates, key)) {
+                record[key] = updates[key];
+            }
+        }
+
+        record.updatedAt = Date.now();
+        data[id] = record;
+        setStorage(data);
+        ownRecordWrites[id] = record;
+        return record;
+    }
+
+    // --- Cross-tab sync ---
+    // Another tab can write the whole progress map from a read taken just before our own write.
+    // When that happens our newer record is merged back in rather than lost.
+
+    function repairLostRecordWrites() {
+        var data = getStorage();
+        var repaired = false;
+
+        for (var id in ownRecordWrites) {
+            if (!Object.prototype.hasOwnProperty.call(ownRecordWrites, id)) continue;
+            var ours = ownRecordWrites[id];
+            var theirs = data[id];
+            if (theirs && (theirs.updatedAt || 0) >= ours.updatedAt) continue;
+
+            data[id] = theirs ? mergeProgressRecord(ours, theirs) : ours;
+            repaired = true;
+        }
+
+        if (repaired) setStorage(data);
+    }
+
+    function refreshSummaries() {
+        worksheets.forEach(function (ws) {
+            ws.summaryContainers.forEach(function (container) {
+                (ws.instance || window.ESHEETS).renderSubmissionSummary(container);
+            });
+        });
+    }
+
+    function refreshIdentityBars() {
+        var identity = getIdentityStorage();
+        identityBars.forEach(function (bar) {
+            ['first_name', 'last_name'].forEach(function (key) {
+                var inp = bar.inputs[key];
+                // Never overwrite a field the student is typing in.
+                if (inp && inp !== document.activeElement && inp.value !== identity[key]) {
+                    inp.value = identity[key] || '';
+                }
+                if (bar.printHeaderFields[key]) {
+                    bar.printHeaderFields[key].textContent = (bar.showIdentity && identity[key]) || '____________________';
+                }
+            });
+        });
+    }
+
+    function startNewAttempt(ws) {
+        var id = ws.meta.worksheet_id;
+        var seed = generateSeed();
+        seedRandom(ws, seed);
+        removeSeedFromUrl(ws);
+        if (!id) return;
+
+        var record = getRecord(id);
+        var updates = { seed: seed };
+        if (record) {
+            updates.attempt = (record.attempt || 1) + 1;
+            updates.attemptSubmissions = 0;
+            updates.lastSubmissionFingerprint = null;
+        }
+        saveRecord(id, updates);
+    }
+
+    function resetCheckAttempts(ws) {
+        var feedbackEls = getScopeRoot(ws).querySelectorAll('.es-feedback');
+        for (var i = 0; i < feedbackEls.length; i++) {
+            checkAttempts.delete(feedbackEls[i]);
+        }
+    }
+
+    // --- Seeded question generation ---
+
+    var SEED_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+    function generateSeed() {
+        var seed = '';
+        for (var i = 0; i < 8; i++) {
+            seed += SEED_CHARS.charAt(Math.floor(Math.random() * SEED_CHARS.length));
+        }
+        return seed;
+    }
+
+    function normalizeSeed(str) {
+        if (typeof str !== 'string') return "";
+        return str.trim().replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32);
+    }
+
+    function seedRandom(ws, seed) {
+        ws.currentSeed = seed;
+        ws.rngState = fnv1a(seed);
+        ws.rngUsed = false;
+    }
+
+    // mulberry32: small, fast and good enough for question generation.
+    function nextRandom(ws) {
+        if (ws.currentSeed === null) seedRandom(ws, generateSeed());
+        ws.rngUsed = true;
+        ws.rngState = (ws.rngState + 0x6D2B79F5) | 0;
+        var t = ws.rngState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // With several worksheets on a page, each one can be pinned by seed_<worksheet_id>.
+    function getSeedParamName(ws) {
+        return worksheets.length > 1 && ws.meta.worksheet_id ? 'seed_' + ws.meta.worksheet_id : 'seed';
+    }
+
+    function initSeed(ws) {
+        var id = ws.meta.worksheet_id;
+        var params = new URLSearchParams(window.location.search);
+        var urlSeed = normalizeSeed((id && params.get('seed_' + id)) || params.get('seed') || "");
+        var record = id ? getRecord(id) : null;
+
+        // Questions already drawn before init keep their seed.
+        var seed = ws.rngUsed ? ws.currentSeed : (urlSeed || (record && record.seed) || generateSeed());
+        if (!ws.rngUsed) seedRandom(ws, seed);
+        if (id && (!record || record.seed !== seed)) saveRecord(id, { seed: seed });
+    }
+
+    function removeSeedFromUrl(ws) {
+        try {
+            var url = new URL(window.location.href);
+            var names = ['seed'];
+            if (ws.meta.worksheet_id) names.push('seed_' + ws.meta.worksheet_id);
+            if (!names.some(function (name) { return url.searchParams.has(name); })) return;
+            names.forEach(function (name) { url.searchParams.delete(name); });
+            window.history.replaceState(window.history.state, '', url.href);
+        } catch (e) {
+            // Leave the address untouched if it cannot be rewritten.
+        }
+    }
+
+    function buildSeedShareUrl(ws) {
+        var url = new URL(window.location.href);
+        ['first', 'firstname', 'fname', 'last', 'lastname', 'lname', 'name'].forEach(function (param) {
+            url.searchParams.delete(param);
+        });
+        url.searchParams.set(getSeedParamName(ws), ws.currentSeed || "");
+        url.hash = '';
+        return url.href;
+    }
+
+    function copyTextWithFeedback(btn, text) {
+        var originalText = btn.textContent;
+        var restore = function() { setTimeout(function() { btn.textContent = originalText; }, 2000); };
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(text).then(function() {
+                btn.textContent = "Copied!";
+                restore();
+            }).catch(function() {
+                btn.textContent = "Failed!";
+                restore();
+            });
+        } else {
+            var temp = document.createElement("input");
+            temp.value = text;
+            document.body.appendChild(temp);
+            temp.select();
+            try {
+                document.execCommand("copy");
+                btn.textContent = "Copied!";
+            } catch(e) {
+                btn.textContent = "Failed!";
+            }
+            document.body.removeChild(temp);
+            restore();
+        }
+    }
+
+    // --- Reveal lockout persistence ---
+
+    function getQuestionSetKey(ws) {
+        if (ws.rngUsed && ws.currentSeed) return 'seed:' + ws.currentSeed;
+
+        var answers;
+        try {
+            answers = getAnswerItems(ws).map(function (item) {
+                return item && item.answer != null ? String(item.answer) : '';
+            });
+        } catch (e) {
+            return null;
+        }
+        return answers.length ? 'set:' + hashString(answers.join('\u241f')) : null;
+    }
+
+    function persistRevealLockout(ws) {
+        var questionSet = getQuestionSetKey(ws);
+        if (!ws.meta.worksheet_id || !questionSet) return;
+        saveRecord(ws.meta.worksheet_id, {
+            revealLockout: { questionSet: questionSet, revealedAt: new Date().toISOString() }
+        });
+    }
+
+    function restoreRevealLockout(ws) {
+        restoreQuestionReveals(ws);
+        if (ws.lockoutActive || !ws.meta.worksheet_id) return;
+        var record = getRecord(ws.meta.worksheet_id);
+        if (!record || !record.revealLockout) return;
+
+        var questionSet = getQuestionSetKey(ws);
+        if (questionSet && questionSet === record.revealLockout.questionSet) {
+            ws.lockoutActive = true;
+            ws.lockoutUIHandler();
+        }
+    }
+
+    function clearRevealLockout(ws) {
+        ws.lockoutActive = false;
+        ws.revealedQuestions = [];
+        ws.lockoutUIHandler();
+        var record = ws.meta.worksheet_id ? getRecord(ws.meta.worksheet_id) : null;
+        if (record && (record.revealLockout || record.revealedQuestions)) {
+            saveRecord(ws.meta.worksheet_id, { revealLockout: null, revealedQuestions: null });
+        }
+    }
+
+    function isInScope(el) {
+        return el && el.closest('.esheets-worksheet');
+    }
+
+    function updatePlaceholders(ws, text) {
+        var roots = ws.root ? [ws.root] : document.querySelectorAll('.esheets-worksheet');
+        if (roots.length === 0) return;
+
+        var selectors = [
+            '[data-esheets-score="top"]',
+            '[data-esheets-score="bottom"]'
+        ];
+
+        for (var r = 0; r < roots.length; r++) {
+            var root = roots[r];
+            selectors.forEach(function (sel) {
+                var els = root.querySelectorAll(sel);
+                for (var i = 0; i < els.length; i++) {
+                    if (els[i].textContent !== text) {
+                        els[i].textContent = text;
+                    }
+                    if (!els[i].classList.contains('esheets-scorebar')) {
+                        els[i].classList.add('esheets-scorebar');
+                    }
+                }
+            });
+        }
+    }
+
+    function renderFeedback(feedbackEl, state, message) {
+        if (!feedbackEl.classList.contains('es-feedback')) {
+            feedbackEl.classList.add('es-feedback');
+        }
+
+        feedbackEl.classList.remove('es-feedback--correct', 'es-feedback--incorrect', 'es-feedback--neutral');
+
+        if (state === 'correct' || state === 'incorrect' || state === 'neutral') {
+            feedbackEl.classList.add('es-feedback--' + state);
+        }
+
+        feedbackEl.textContent = message || "";
+    }
+
+    function formatPct(p) {
+        var rounded = Math.round(p * 10) / 10;
+        return Number.isInteger(rounded) ? rounded : rounded.toFixed(1);
+    }
+
+    function formatScore(s, m, p) {
+        return s + ' / ' + m + ' (' + formatPct(p) + '%)';
+    }
+
+    function createHistorySparkline(history) {
+        if (!history || history.length < 2) return null;
+
+        var width = 80;
+        var height = 18;
+        var step = width / (history.length - 1);
+        var points = history.map(function (entry, i) {
+            var pct = Math.max(0, Math.min(100, entry.percent || 0));
+            return (i * step).toFixed(1) + ',' + (height - 1 - (pct / 100) * (height - 2)).toFixed(1);
+        });
+
+        var ns = 'http://www.w3.org/2000/svg';
+        var svg = document.createElementNS(ns, 'svg');
+        svg.setAttribute('class', 'es-history-sparkline');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', 'Scores over the last ' + history.length + ' attempts: ' +
+            history.map(function (entry) { return formatPct(entry.percent || 0) + '%'; }).join(', '));
+        svg.style.verticalAlign = 'middle';
+        svg.style.overflow = 'visible';
+
+        var line = document.createElementNS(ns, 'polyline');
+        line.setAttribute('points', points.join(' '));
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke', 'currentColor');
+        line.setAttribute('stroke-width', '1.5');
+        line.setAttribute('stroke-linejoin', 'round');
+        svg.appendChild(line);
+
+        var last = points[points.length - 1].split(',');
+        var dot = document.createElementNS(ns, 'circle');
+        dot.setAttribute('cx', last[0]);
+        dot.setAttribute('cy', last[1]);
+        dot.setAttribute('r', '2');
+        dot.setAttribute('fill', 'currentColor');
+        svg.appendChild(dot);
+
+        return svg;
+    }
+
+    var CREATURE_BADGE_BANDS = [
+        { min: 100, msg: "Perfect score — outstanding work!", badges: [{n:'Legendary Lion', e:'🦁'}, {n:'Perfect Panda', e:'🐼'}, {n:'Champion Cheetah', e:'🐆'}] },
+        { min: 90, msg: "Excellent work — that’s a score worth celebrating.", badges: [{n:'Towering Tiger', e:'🐅'}, {n:'Majestic Eagle', e:'🦅'}, {n:'Mighty Mammoth', e:'🦣'}] },
+        { min: 80, msg: "Excellent work — that’s a score worth celebrating.", badges: [{n:'Brilliant Bear', e:'🐻'}, {n:'Powerful Panther', e:'🐆'}, {n:'Excellent Elephant', e:'🐘'}] },
+        { min: 70, msg: "Great effort — keep building your confidence.", badges: [{n:'Clever Crocodile', e:'🐊'}, {n:'Dazzling Dolphin', e:'🐬'}] },
+        { min: 60, msg: "Great effort — keep building your confidence.", badges: [{n:'Practising Parrot', e:'🦜'}, {n:'Steady Squirrel', e:'🐿️'}, {n:'Curious Crab', e:'🦀'}] },
+        { min: 50, msg: "Good practice — correct a few more answers and record again to upgrade your badge.", badges: [{n:'Growing Gecko', e:'🦎'}, {n:'Helpful Hedgehog', e:'🦔'}, {n:'Climbing Koala', e:'🐨'}] },
+        { min: 40, msg: "Good practice — correct a few more answers and record again to upgrade your badge.", badges: [{n:'Busy Beetle', e:'🪲'}, {n:'Determined Duck', e:'🦆'}, {n:'Resilient Rabbit', e:'🐇'}] },
+        { min: 30, msg: "Keep going — every correction helps you improve.", badges: [{n:'Determined Ant', e:'🐜'}, {n:'Tenacious Turtle', e:'🐢'}, {n:'Patient Penguin', e:'🐧'}] },
+        { min: 20, msg: "Keep going — every correction helps you improve.", badges: [{n:'Steady Snail', e:'🐌'}, {n:'Brave Beginner', e:'🐣'}, {n:'Curious Caterpillar', e:'🐛'}] },
+        { min: 0, msg: "Keep going — every correction helps you improve.", badges: [{n:'Brave Beginner', e:'🐣'}, {n:'Determined Ant', e:'🐜'}, {n:'Keep-Going Koala', e:'🐨'}] }
+    ];
+
+    function getCreatureBand(percent) {
+        for (var i = 0; i < CREATURE_BADGE_BANDS.length; i++) {
+            if (percent >= CREATURE_BADGE_BANDS[i].min) return CREATURE_BADGE_BANDS[i];
+        }
+        return CREATURE_BADGE_BANDS[CREATURE_BADGE_BANDS.length - 1]; // fallback to lowest
+    }
+
+    function getCreatureBadge(percent) {
+        var match = getCreatureBand(percent);
+        var randomBadge = match.badges[Math.floor(Math.random() * match.badges.length)];
+        return { name: randomBadge.n, emoji: randomBadge.e, msg: match.msg };
+    }
+
+    // Rebuilds a badge that was stored by name only, e.g. in a progress code.
+    function describeCreatureBadge(name, percent) {
+        var match = getCreatureBand(percent);
+        var emoji = '';
+        CREATURE_BADGE_BANDS.some(function (band) {
+            return band.badges.some(function (badge) {
+                if (badge.n === name) emoji = badge.e;
+                return badge.n === name;
+            });
+        });
+        return { name: name, emoji: emoji, msg: match.msg };
+    }
+
+    var TRACKING_CODE_REGEX = /^[A-HJ-NP-Z2-9]{5}$/;
+
+    function normalizeTrackingCode(str) {
+        if (typeof str !== 'string') return "";
+        return str.trim().toUpperCase().replace(/\s+/g, '');
+    }
+
+    function isValidTrackingCode(str) {
+        return TRACKING_CODE_REGEX.test(str);
+    }
+
+    // FNV-1a; only used to build short, header-safe identifiers.
+    function fnv1a(str) {
+        var hash = 0x811c9dc5;
+        for (var i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    function hashString(str) {
+        return fnv1a(str).toString(36);
+    }
+
+    function buildSubmissionId(worksheetId, attempt, sequence) {
+        return ['esh', hashString(String(worksheetId)), getBrowserDeviceCode() || 'LOCAL', 'a' + attempt, 's' + sequence].join('-');
+    }
+
+    function getAnswerStateFingerprint(ws, score, maxScore) {
+        var values = [];
+        var items = [];
+
+        try {
+            items = getAnswerItems(ws);
+        } catch (e) {
+            items = [];
+        }
+
+        if (items.length) {
+            items.forEach(function (item) {
+                if (item && item.inputEl) values.push(item.inputEl.value);
+            });
+        } else {
+            var controls = ws.root
+                ? ws.root.querySelectorAll('input, select, textarea')
+                : document.querySelectorAll('.esheets-worksheet input, .esheets-worksheet select, .esheets-worksheet textarea');
+            for (var i = 0; i < controls.length; i++) {
+                var control = controls[i];
+                if (control.closest('.esheets-identity-bar') || control.closest('.esheets-teacher-panel')) continue;
+                values.push(control.type === 'checkbox' || control.type === 'radio' ? String(control.checked) : control.value);
+            }
+        }
+
+        return hashString(score + '/' + maxScore + '|' + values.join('\u241f'));
+    }
+
+    // --- Progress export / import ---
+    // The signature is a checksum that catches edited or truncated files; it is not a security measure.
+    // Only scores and history travel: attempts, seeds, reveal lockouts and exam clocks belong to the
+    // device they were made on.
+
+    var PROGRESS_EXPORT_FORMAT = 'esheets-progress';
+    var PROGRESS_CODE_PREFIX = 'ESP2.';
+    var LEGACY_PROGRESS_CODE_PREFIX = 'ESP1.';
+    var PROGRESS_CODE_HISTORY_MAX = 10;
+    var PROGRESS_EXPORT_FIELDS = [
+        'lastScore', 'lastPercent', 'lastBadge', 'submittedAt', 'maxScore',
+        'bestScore', 'bestPercent', 'bestAttemptNumber', 'history', 'historyCount', 'schema'
+    ];
+
+    function signProgressExport(body) {
+        return hashString(JSON.stringify([body.format, body.version, body.exportedAt, body.progress, body.identity]));
+    }
+
+    function pickExportFields(record) {
+        var picked = {};
+        PROGRESS_EXPORT_FIELDS.forEach(function (field) {
+            if (record[field] !== undefined) picked[field] = record[field];
+        });
+        return picked;
+    }
+
+    function getExportableProgress(data) {
+        var progress = {};
+        for (var id in data) {
+            if (Object.prototype.hasOwnProperty.call(data, id) && data[id] && typeof data[id] === 'object') {
+                progress[id] = pickExportFields(data[id]);
+            }
+        }
+        return progress;
+    }
+
+    function buildProgressExport() {
+        var identity = getIdentityStorage();
+        var body = {
+            format: PROGRESS_EXPORT_FORMAT,
+            version: PROGRESS_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            progress: getExportableProgress(getStorage()),
+            identity: { first_name: identity.first_name || "", last_name: identity.last_name || "" }
+        };
+        body.signature = signProgressExport(body);
+        return body;
+    }
+
+    function toBase64Url(text) {
+        return btoa(unescape(encodeURIComponent(text))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(code) {
+        var b64 = code.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+        while (b64.length % 4) b64 += '=';
+        return decodeURIComponent(escape(atob(b64)));
+    }
+
+    // The copy-paste code keeps it short: dates as base-36 seconds, badges by name, percentages
+    // and the last-score fields worked out again from the history, and only the latest
+    // PROGRESS_CODE_HISTORY_MAX attempts per worksheet (the total count is kept). The file has everything.
+    function compactProgressRecord(record) {
+        var history = (record.history || []).slice(-PROGRESS_CODE_HISTORY_MAX).map(function (entry) {
+            return [
+                Math.floor(Date.parse(entry.date) / 1000).toString(36),
+                entry.score, entry.maxScore, entry.badge || '', entry.revealed ? 1 : 0
+            ];
+        });
+        return [record.historyCount || history.length, record.bestScore || 0, record.bestPercent || 0,
+            record.bestAttemptNumber || 0, record.lastBadge ? record.lastBadge.name : '', history];
+    }
+
+    function expandProgressRecord(compact) {
+        var entries = compact[5] || [];
+        var historyCount = Math.max(compact[0] || 0, entries.length);
+        var history = entries.map(function (entry, i) {
+            return {
+                n: historyCount - entries.length + i + 1,
+                date: new Date(parseInt(entry[0], 36) * 1000).toISOString(),
+                score: entry[1],
+                maxScore: entry[2],
+                percent: entry[2] > 0 ? (entry[1] / entry[2]) * 100 : 0,
+                badge: entry[3] || null,
+                seed: null,
+                revealed: !!entry[4]
+            };
+        });
+
+        var record = {
+            bestScore: compact[1],
+            bestPercent: compact[2],
+            bestAttemptNumber: compact[3] || null,
+            history: history,
+            historyCount: historyCount,
+            schema: PROGRESS_SCHEMA_VERSION
+        };
+        var last = history[history.length - 1];
+        if (last) {
+            record.lastScore = last.score;
+            record.lastPercent = last.percent;
+            record.maxScore = last.maxScore;
+            record.submittedAt = last.date;
+            if (compact[4]) record.lastBadge = describeCreatureBadge(compact[4], last.percent);
+        }
+        return record;
+    }
+
+    function encodeProgressCode(body) {
+        var progress = {};
+        for (var id in body.progress) {
+            if (Object.prototype.hasOwnProperty.call(body.progress, id)) progress[id] = compactProgressRecord(body.progress[id]);
+        }
+        var compact = [
+            Math.floor(Date.parse(body.exportedAt) / 1000).toString(36),
+            body.identity.first_name, body.identity.last_name, progress
+        ];
+        compact.push(hashString(JSON.stringify(compact)));
+        return PROGRESS_CODE_PREFIX + toBase64Url(JSON.stringify(compact));
+    }
+
+    function decodeProgressCode(code) {
+        var compact = JSON.parse(fromBase64Url(code));
+        if (!Array.isArray(compact) || compact.length !== 5 || !compact[3] || typeof compact[3] !== 'object') {
+            throw new Error('This is not an esheets progress file or code.');
+        }
+        var intact = compact[4] === hashString(JSON.stringify(compact.slice(0, 4)));
+        var progress = {};
+        for (var id in compact[3]) {
+            if (Object.prototype.hasOwnProperty.call(compact[3], id) && Array.isArray(compact[3][id])) {
+                progress[id] = expandProgressRecord(compact[3][id]);
+            }
+        }
+        var body = {
+            format: PROGRESS_EXPORT_FORMAT,
+            version: PROGRESS_SCHEMA_VERSION,
+            exportedAt: new Date(parseInt(compact[0], 36) * 1000).toISOString(),
+            progress: progress,
+            identity: { first_name: String(compact[1] || ''), last_name: String(compact[2] || '') }
+        };
+        // A code that fails its own checksum fails the usual signature check below.
+        body.signature = intact ? signProgressExport(body) : null;
+        return body;
+    }
+
+    function parseProgressExport(text) {
+        var raw = String(text || '').trim();
+        var body;
+
+        try {
+            if (raw.indexOf(PROGRESS_CODE_PREFIX) === 0) {
+                body = decodeProgressCode(raw.slice(PROGRESS_CODE_PREFIX.length));
+            } else if (raw.indexOf(LEGACY_PROGRESS_CODE_PREFIX) === 0) {
+                body = JSON.parse(fromBase64Url(raw.slice(LEGACY_PROGRESS_CODE_PREFIX.length)));
+            } else {
+                body = JSON.parse(raw);
+            }
+        } catch (e) {
+            throw new Error('This is not an esheets progress file or code.');
+        }
+
+        if (!body || body.format !== PROGRESS_EXPORT_FORMAT || !body.progress || typeof body.progress !== 'object') {
+            throw new Error('This is not an esheets progress file or code.');
+        }
+        if (body.signature !== signProgressExport(body)) {
+            throw new Error('This progress file has been changed or is incomplete.');
+        }
+        return body;
+    }
+
+    // Whole seconds, because progress codes do not keep milliseconds.
+    function historyEntryKey(entry) {
+        return [Math.floor(Date.parse(entry.date) / 1000), entry.score, entry.maxScore].join('|');
+    }
+
+    function mergeProgressRecord(local, incoming) {
+        incoming = pickExportFields(incoming);
+        if (!local) return incoming;
+
+        var merged = {};
+        var key;
+        for (key in local) {
+            if (Object.prototype.hasOwnProperty.call(local, key)) merged[key] = local[key];
+        }
+
+        // Last-recorded details follow whichever device recorded most recently.
+        if (incoming.submittedAt && (!local.submittedAt || incoming.submittedAt > local.submittedAt)) {
+            ['lastScore', 'lastPercent', 'lastBadge', 'submittedAt', 'maxScore'].forEach(function (field) {
+                if (incoming[field] !== undefined) merged[field] = incoming[field];
+            });
+        }
+
+        var incomingBest = incoming.bestPercent || 0;
+        var localBest = local.bestPercent || 0;
+        if (incomingBest > localBest || (Math.abs(incomingBest - localBest) < 0.001 && (incoming.bestScore || 0) > (local.bestScore || 0))) {
+            merged.bestPercent = incoming.bestPercent;
+            merged.bestScore = incoming.bestScore;
+        }
+
+        var seen = {};
+        var shared = 0;
+        var history = [];
+        (local.history || []).forEach(function (entry) {
+            seen[historyEntryKey(entry)] = true;
+            history.push(entry);
+        });
+        (incoming.history || []).forEach(function (entry) {
+            if (seen[historyEntryKey(entry)]) {
+                shared++;
+                return;
+            }
+            history.push(entry);
+        });
+        history.sort(function (a, b) { return a.date < b.date ? -1 : (a.date > b.date ? 1 : 0); });
+
+        var total = Math.max(history.length, (local.historyCount || 0) + (incoming.historyCount || 0) - shared);
+        history = history.slice(-PROGRESS_HISTORY_MAX);
+        var offset = total - history.length;
+        merged.history = history.map(function (entry, i) {
+            var copy = {};
+            for (var field in entry) {
+                if (Object.prototype.hasOwnProperty.call(entry, field)) copy[field] = entry[field];
+            }
+            copy.n = offset + i + 1;
+            return copy;
+        });
+        merged.historyCount = total;
+
+        merged.bestAttemptNumber = null;
+        merged.history.some(function (entry) {
+            if (Math.abs((entry.percent || 0) - (merged.bestPercent || 0)) < 0.001 && entry.score === merged.bestScore) {
+                merged.bestAttemptNumber = entry.n;
+                return true;
+            }
+            return false;
+        });
+        merged.schema = PROGRESS_SCHEMA_VERSION;
+        return merged;
+    }
+
+    function mergeProgressExport(body) {
+        var incoming = migrateProgress(body.progress);
+        var data = getStorage();
+        var ids = [];
+
+        for (var id in incoming) {
+            if (!Object.prototype.hasOwnProperty.call(incoming, id) || !incoming[id] || typeof incoming[id] !== 'object') continue;
+            data[id] = mergeProgressRecord(data[id], incoming[id]);
+            ids.push(id);
+        }
+        setStorage(data);
+
+        // A name typed on this device wins over the imported one.
+        var identity = getIdentityStorage();
+        var theirs = body.identity || {};
+        var identityChanged = false;
+        ['first_name', 'last_name'].forEach(function (field) {
+            if (!identity[field] && theirs[field]) {
+                identity[field] = String(theirs[field]);
+                identityChanged = true;
+            }
+        });
+        if (identityChanged) {
+            setIdentityStorage(identity);
+            refreshIdentityBars();
+            emit('identity:change', { identity: identity, updates: identity });
+        }
+
+        return { worksheets: ids, identityChanged: identityChanged };
+    }
+
+    function readProgressInput(input) {
+        if (typeof Blob !== 'undefined' && input instanceof Blob) {
+            return new Promise(function (resolve, reject) {
+                var reader = new FileReader();
+                reader.onload = function () { resolve(String(reader.result || '')); };
+                reader.onerror = function () { reject(new Error('That file could not be read.')); };
+                reader.readAsText(input);
+            });
+        }
+        return Promise.resolve(typeof input === 'string' ? input : JSON.stringify(input));
+    }
+
+    function downloadTextFile(filename, text) {
+        var blob = new Blob([text], { type: 'application/json' });
+        var url = URL.createObjectURL(blob);
+        var link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+    }
+
+    function createProgressTransfer(onImported, notice) {
+        var wrap = document.createElement('div');
+        wrap.className = 'es-progress-transfer';
+        wrap.style.marginTop = '0.75rem';
+        wrap.style.fontSize = '0.9em';
+
+        var label = document.createElement('div');
+        label.textContent = 'Moving to another device? Save your progress here and load it there.';
+
+        var actions = document.createElement('div');
+        actions.className = 'esheets-btn-group';
+        actions.style.marginTop = '0.35rem';
+
+        var status = document.createElement('div');
+        status.setAttribute('role', 'status');
+        status.style.marginTop = '0.35rem';
+
+        function makeButton(text) {
+            var btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'esheets-btn esheets-btn-secondary es-btn-small';
+            btn.textContent = text;
+            actions.appendChild(btn);
+            return btn;
+        }
+
+        function showStatus(text, ok) {
+            status.textContent = text;
+            status.style.color = ok ? '#0a7a2f' : '#b42318';
+        }
+
+        var fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json,text/plain';
+        fileInput.style.display = 'none';
+
+        var saveBtn = makeButton('Save progress file');
+        var copyBtn = makeButton('Copy progress code');
+        var loadBtn = makeButton('Load progress file');
+        var pasteBtn = makeButton('Paste progress code');
+
+        function runImport(input) {
+            return window.ESHEETS.importProgress(input).then(function (result) {
+                var n = result.worksheets.length;
+                var text = 'Progress loaded for ' + n + ' worksheet' + (n === 1 ? '' : 's') + '.';
+                if (onImported) {
+                    onImported({ text: text, ok: true });
+                } else {
+                    showStatus(text, true);
+                }
+            }).catch(function (err) {
+                showStatus(err && err.message ? err.message : 'That progress could not be loaded.', false);
+            });
+        }
+
+        saveBtn.addEventListener('click', function () {
+            downloadTextFile('esheets-progress-' + new Date().toISOString().slice(0, 10) + '.json', window.ESHEETS.exportProgress());
+        });
+        copyBtn.addEventListener('click', function () {
+            copyTextWithFeedback(copyBtn, window.ESHEETS.exportProgress({ format: 'code' }));
+        });
+        loadBtn.addEventListener('click', function () {
+            fileInput.value = '';
+            fileInput.click();
+        });
+        fileInput.addEventListener('change', function () {
+            if (fileInput.files && fileInput.files[0]) runImport(fileInput.files[0]);
+        });
+        pasteBtn.addEventListener('click', function () {
+            var code = window.prompt('Paste your progress code:');
+            if (code) runImport(code);
+        });
+
+        wrap.appendChild(label);
+        wrap.appendChild(actions);
+        wrap.appendChild(fileInput);
+        wrap.appendChild(status);
+        if (notice) showStatus(notice.text, notice.ok);
+        return wrap;
+    }
+
+    // --- Offline outbox: failed tracked submissions are kept with their snapshots and retried ---
+
+    function readOutbox() {
+        try {
+            var raw = localStorage.getItem(OUTBOX_KEY);
+            var entries = raw ? JSON.parse(raw) : [];
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function writeOutbox(entries) {
+        try {
+            if (entries.length) {
+                localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+            } else {
+                localStorage.removeItem(OUTBOX_KEY);
+            }
+            return true;
+        } catch (error) {
+            console.warn('ESHEETS: outbox write error', error);
+            return false;
+        }
+    }
+
+    function pruneOutbox(entries) {
+        var now = Date.now();
+        return entries.filter(function (entry) {
+            return entry && typeof entry.body === 'string' && now - (entry.queuedAt || 0) < OUTBOX_MAX_AGE;
+        });
+    }
+
+    function updateOutboxEntry(id, updates) {
+        var entries = readOutbox();
+        entries.forEach(function (entry) {
+            if (entry.id !== id) return;
+            Object.keys(updates).forEach(function (key) { entry[key] = updates[key]; });
+        });
+        writeOutbox(entries);
+    }
+
+    function removeOutboxEntry(id) {
+        writeOutbox(readOutbox().filter(function (entry) { return entry.id !== id; }));
+    }
+
+    // A submission being sent for the first time is already in the outbox, but is not waiting yet.
+    function isFirstSendInFlight(entry, now) {
+        return !!entry.firstSend && !!entry.sendingAt && now - entry.sendingAt <= OUTBOX_SENDING_TIMEOUT;
+    }
+
+    function notifyOutbox() {
+        var now = Date.now();
+        var pending = readOutbox().filter(function (entry) { return !isFirstSendInFlight(entry, now); }).length;
+        outboxListeners.forEach(function (listener) {
+            try {
+                listener(pending);
+            } catch (error) {
+                console.warn('ESHEETS: outbox listener error', error);
+            }
+        });
+    }
+
+    function withoutSnapshots(body, reason) {
+        try {
+            var payload = JSON.parse(body);
+            if (!payload.student_snapshot_html) return body;
+            delete payload.student_snapshot_html;
+            delete payload.answer_snapshot_html;
+            delete payload.marked_snapshot_html;
+            delete payload.snapshot_format_version;
+            delete payload.snapshot_encoding;
+            payload.snapshot_omitted_reason = reason;
+            return JSON.stringify(payload);
+        } catch (error) {
+            return body;
+        }
+    }
+
+    // Snapshots go first, oldest entry first; only if the scores alone still do not fit are the
+    // oldest entries dropped.
+    function fitOutboxBudget(entries) {
+        var size = function () { return JSON.stringify(entries).length; };
+        for (var i = 0; i < entries.length && size() > OUTBOX_MAX_CHARS; i++) {
+            var stripped = withoutSnapshots(entries[i].body, 'outbox_full');
+            if (stripped !== entries[i].body) {
+                entries[i].body = stripped;
+                console.warn('ESHEETS: a queued submission\'s snapshots were dropped to keep the outbox within its storage budget.');
+            }
+        }
+        while (entries.length > 1 && size() > OUTBOX_MAX_CHARS) entries.shift();
+    }
+
+    // Returns the entry id, or null when even the score could not be stored. A `sending` entry is
+    // written ahead of its first request, so it survives the page unloading mid-request.
+    function enqueueSubmission(url, body, idempotencyKey, sending) {
+        var now = Date.now();
+        var entries = pruneOutbox(readOutbox());
+        var entry = {
+            id: now.toString(36) + Math.random().toString(36).slice(2, 8),
+            url: url,
+            body: body,
+            idempotencyKey: idempotencyKey || null,
+            queuedAt: now,
+            attempts: 0,
+            nextAttemptAt: now + OUTBOX_RETRY_BASE,
+            sendingAt: sending ? now : null,
+            firstSend: !!sending
+        };
+
+        entries.push(entry);
+        while (entries.length > OUTBOX_MAX_ENTRIES) entries.shift();
+        fitOutboxBudget(entries);
+
+        if (!writeOutbox(entries)) {
+            // localStorage is full for some other reason; keep the scores themselves.
+            entries.forEach(function (queued) { queued.body = withoutSnapshots(queued.body, 'device_storage_full'); });
+            if (!writeOutbox(entries)) return null;
+            console.warn('ESHEETS: queued submissions stored without snapshots because device storage is full.');
+        }
+
+        notifyOutbox();
+        scheduleOutboxFlush();
+        return entry.id;
+    }
+
+    // --- Portal transports ---
+    // A transport receives { url, method, headers, body } and resolves with a
+    // fetch-like response exposing at least `ok` and `status`.
+
+    var PORTAL_TRANSPORTS = {
+        // keepalive lets a small submission finish while the page unloads; larger ones are
+        // already in the outbox and go out on the next visit.
+        fetch: function (request) {
+            return fetch(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body,
+                keepalive: new Blob([request.body]).size <= KEEPALIVE_BODY_LIMIT
+            });
+        },
+
+        // Sends nothing; useful for local stand-in pages and worksheet development.
+        echo: function (request) {
+            var echoed = null;
+            try {
+                echoed = JSON.parse(request.body);
+            } catch (e) {
+                echoed = request.body;
+            }
+            console.info('ESHEETS: echo transport received a submission for ' + request.url, echoed);
+            return Promise.resolve({ ok: true, status: 200, echo: echoed });
+        }
+    };
+
+    function configurePortal(options) {
+        portalConfig = {
+            url: DEFAULT_PORTAL_URL,
+            headers: {},
+            transport: 'fetch'
+        };
+        if (!options) return;
+
+        if (typeof options.url === 'string' && options.url.trim()) {
+            try {
+                portalConfig.url = new URL(options.url.trim(), window.location.href).href.replace(/\/+$/, '');
+            } catch (e) {
+                console.warn('ESHEETS: invalid portal url; using the default portal', e);
+            }
+        }
+
+        if (options.headers && typeof options.headers === 'object') {
+            for (var name in options.headers) {
+                if (Object.prototype.hasOwnProperty.call(options.headers, name)) {
+                    portalConfig.headers[name] = String(options.headers[name]);
+                }
+            }
+        }
+
+        if (typeof options.transport === 'function' || Object.prototype.hasOwnProperty.call(PORTAL_TRANSPORTS, options.transport)) {
+            portalConfig.transport = options.transport;
+        } else if (options.transport === 'beacon') {
+            console.warn('ESHEETS: the beacon transport is used automatically while the page unloads; using fetch');
+        } else if (options.transport) {
+            console.warn('ESHEETS: unknown portal transport "' + options.transport + '"; using fetch');
+        }
+    }
+
+    function sendPortalRequest(url, body, idempotencyKey) {
+        var transport = typeof portalConfig.transport === 'function'
+            ? portalConfig.transport
+            : PORTAL_TRANSPORTS[portalConfig.transport];
+
+        var headers = { 'Content-Type': 'application/json' };
+        for (var name in portalConfig.headers) {
+            if (Object.prototype.hasOwnProperty.call(portalConfig.headers, name)) {
+                headers[name] = portalConfig.headers[name];
+            }
+        }
+        if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+        return Promise.resolve().then(function () {
+            return transport({ url: url, method: 'POST', headers: headers, body: body });
+        }).then(function (res) {
+            if (!res || typeof res.ok !== 'boolean') throw new Error('The portal transport returned no response');
+            return res;
+        });
+    }
+
+    function isRetryableStatus(status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    function scheduleOutboxFlush() {
+        window.clearTimeout(outboxTimer);
+        outboxTimer = null;
+
+        var entries = readOutbox();
+        if (!entries.length) return;
+
+        var next = Math.min.apply(null, entries.map(function (entry) { return entry.nextAttemptAt || 0; }));
+        outboxTimer = window.setTimeout(function () {
+            flushOutbox(false);
+        }, Math.max(1000, next - Date.now()));
+    }
+
+    function sendOutboxEntry(entry) {
+        updateOutboxEntry(entry.id, { sendingAt: Date.now(), firstSend: false });
+
+        return sendPortalRequest(entry.url, entry.body, entry.idempotencyKey).then(function (response) {
+            if (response.ok) {
+                removeOutboxEntry(entry.id);
+                return;
+            }
+            if (!isRetryableStatus(response.status)) {
+                removeOutboxEntry(entry.id);
+                console.warn('ESHEETS: the portal rejected a queued submission (' + response.status + '); it was removed from the outbox.');
+                return;
+            }
+            throw new Error('Queued submission failed with status ' + response.status);
+        }).catch(function () {
+            var attempts = (entry.attempts || 0) + 1;
+            updateOutboxEntry(entry.id, {
+                attempts: attempts,
+                sendingAt: null,
+                nextAttemptAt: Date.now() + Math.min(OUTBOX_RETRY_MAX, OUTBOX_RETRY_BASE * Math.pow(2, attempts))
+            });
+        });
+    }
+
+    function flushOutbox(force) {
+        if (outboxFlushing || navigator.onLine === false) return Promise.resolve();
+
+        var now = Date.now();
+        var entries = pruneOutbox(readOutbox());
+        writeOutbox(entries);
+
+        var due = entries.filter(function (entry) {
+            var idle = !entry.sendingAt || now - entry.sendingAt > OUTBOX_SENDING_TIMEOUT;
+            return idle && (force || (entry.nextAttemptAt || 0) <= now);
+        });
+
+        if (!due.length) {
+            scheduleOutboxFlush();
+            return Promise.resolve();
+        }
+
+        outboxFlushing = true;
+        return due.reduce(function (chain, entry) {
+            return chain.then(function () { return sendOutboxEntry(entry); });
+        }, Promise.resolve()).then(function () {
+            outboxFlushing = false;
+            notifyOutbox();
+            scheduleOutboxFlush();
+        });
+    }
+
+    // Beacons are for page unload only: they cannot carry the Idempotency-Key header (the
+    // portal falls back to the submission_id in the body) and only say the browser accepted
+    // the request. Entries the browser refuses stay queued for the next visit. Beacons cannot
+    // carry configured portal headers either, so those portals wait for the next visit too.
+    function flushOutboxWithBeacon() {
+        if (typeof navigator.sendBeacon !== 'function' || portalConfig.transport !== 'fetch' || navigator.onLine === false) return;
+        if (Object.keys(portalConfig.headers).length) return;
+
+        var now = Date.now();
+        pruneOutbox(readOutbox()).forEach(function (entry) {
+            if (entry.sendingAt && now - entry.sendingAt <= OUTBOX_SENDING_TIMEOUT) return;
+            var accepted = false;
+            try {
+                accepted = navigator.sendBeacon(entry.url, new Blob([entry.body], { type: 'application/json' }));
+            } catch (error) {
+                accepted = false;
+            }
+            if (accepted) removeOutboxEntry(entry.id);
+        });
+    }
+
+    function deliverSubmission(url, body, idempotencyKey) {
+        function queuedError(cause) {
+            var error = new Error('The submission could not be sent and was queued for retry.');
+            error.queued = true;
+            error.cause = cause;
+            return error;
+        }
+
+        function release(id) {
+            updateOutboxEntry(id, { sendingAt: null, firstSend: false, attempts: 1, nextAttemptAt: Date.now() + OUTBOX_RETRY_BASE });
+            notifyOutbox();
+            scheduleOutboxFlush();
+        }
+
+        var entryId = enqueueSubmission(url, body, idempotencyKey, true);
+
+        return sendPortalRequest(url, body, idempotencyKey).then(function (res) {
+            if (res.ok || !isRetryableStatus(res.status) || !entryId) {
+                if (entryId) removeOutboxEntry(entryId);
+                if (res.ok) return res;
+                throw new Error('Central submission failed');
+            }
+            release(entryId);
+            throw queuedError(new Error('Status ' + res.status));
+        }, function (err) {
+            if (!entryId) throw err;
+            release(entryId);
+            throw queuedError(err);
+        });
+    }
+
+    function mountOutboxStatus(group) {
+        if (!group || !group.parentNode) return;
+
+        var status = document.createElement('div');
+        status.className = 'es-outbox-status';
+        status.setAttribute('role', 'status');
+        status.style.display = 'none';
+        status.style.marginTop = '0.5rem';
+        status.style.padding = '0.6rem 0.75rem';
+        status.style.borderRadius = '4px';
+        status.style.fontSize = '0.9em';
+
+        var text = document.createElement('span');
+        var retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.className = 'esheets-btn esheets-btn-secondary es-btn-small';
+        retryBtn.textContent = 'Try again now';
+        retryBtn.style.marginLeft = '0.5rem';
+        retryBtn.addEventListener('click', function () {
+            retryBtn.disabled = true;
+            flushOutbox(true).then(function () { retryBtn.disabled = false; });
+        });
+
+        status.appendChild(text);
+        status.appendChild(retryBtn);
+        group.parentNode.insertBefore(status, group.nextSibling);
+
+        var lastPending = 0;
+        function render(pending) {
+            if (pending > 0) {
+                status.style.display = 'block';
+                status.style.color = '#7a4b00';
+                status.style.backgroundColor = '#fff8e1';
+                status.style.border = '1px solid #ffe082';
+                text.textContent = (pending === 1 ? '1 recorded score is' : pending + ' recorded scores are') +
+                    ' waiting to be sent to your teacher. They will be sent automatically when you are back online.';
+                retryBtn.style.display = '';
+            } else if (lastPending > 0) {
+                status.style.display = 'block';
+                status.style.color = '#0a7a2f';
+                status.style.backgroundColor = '#eef9f1';
+                status.style.border = '1px solid #b7e4c7';
+                text.textContent = 'Your saved score has now been sent to your teacher.';
+                retryBtn.style.display = 'none';
+            } else {
+                status.style.display = 'none';
+            }
+            lastPending = pending;
+        }
+
+        outboxListeners.push(render);
+        render(readOutbox().length);
+    }
+
+    // --- Submission pipeline ---
+
+    function addSubmissionStep(fn, stage) {
+        var step = { fn: fn, stage: stage };
+        submissionSteps.push(step);
+        return function () {
+            var index = submissionSteps.indexOf(step);
+            if (index !== -1) submissionSteps.splice(index, 1);
+        };
+    }
+
+    function orderedSubmissionSteps() {
+        var ordered = [];
+        SUBMISSION_STAGES.forEach(function (stage) {
+            submissionSteps.forEach(function (step) {
+                if (step.stage === stage) ordered.push(step);
+            });
+        });
+        return ordered;
+    }
+
+    function runSubmissionPipeline(payload, context) {
+        return orderedSubmissionSteps().reduce(function (chain, step) {
+            return chain.then(function (current) {
+                return Promise.resolve().then(function () {
+                    return step.fn(current, context);
+                }).then(function (next) {
+                    return next && typeof next === 'object' ? next : current;
+                }, function (err) {
+                    if (step.stage === 'transport') throw err;
+                    console.warn('ESHEETS: submission step failed; continuing without it', err);
+                    return current;
+                });
+            });
+        }, Promise.resolve(payload));
+    }
+
+    function identityStep(payload) {
+        var payloadIdentity = getIdentityStorage();
+        if (launchTracking.active) {
+            payloadIdentity.class_code = launchTracking.class_code;
+            payloadIdentity.task_code = launchTracking.task_code;
+        }
+
+        payload.first_name = payloadIdentity.first_name || "";
+        payload.last_name = payloadIdentity.last_name || "";
+        payload.browser_code = launchTracking.active ? getBrowserDeviceCode() : "";
+        payload.class_code = payloadIdentity.class_code || "";
+        payload.task_code = payloadIdentity.task_code || "";
+        return payload;
+    }
+
+    function trackingAdapterStep(payload) {
+        if (typeof trackingAdapter === 'function') {
+            try {
+                trackingAdapter(payload);
+            } catch (e) {
+                console.warn('ESHEETS: tracking adapter error', e);
+            }
+        }
+        return payload;
+    }
+
+    function portalTransportStep(payload, context) {
+        if (!context.tracked) {
+            context.result = { success: true, localOnly: true };
+            return payload;
+        }
+
+        if (context.progress) context.progress('Recording... sending');
+        return deliverSubmission(portalConfig.url, JSON.stringify(payload), payload.submission_id).then(function () {
+            context.result = { success: true };
+            return payload;
+        });
+    }
+
+    // A worksheet's own getAnswerItems wins; otherwise declarative inputs describe themselves.
+    function hasAnswerItems(ws) {
+        return typeof ws.answerItemsProvider === 'function' || ws.declarativeGroups.length > 0;
+    }
+
+    function getAnswerItems(ws) {
+        if (typeof ws.answerItemsProvider !== 'function') return getDeclarativeItems(ws);
+        var items = ws.answerItemsProvider() || [];
+        return Array.isArray(items) ? items : Array.prototype.slice.call(items);
+    }
+
+    function getQuestionKey(item, index) {
+        if (item.key != null) return String(item.key);
+        if (item.id != null) return String(item.id);
+        if (item.inputEl && (item.inputEl.id || item.inputEl.name)) return item.inputEl.id || item.inputEl.name;
+        return 'q' + (index + 1);
+    }
+
+    function getStudentValue(inputEl) {
+        if (!inputEl) return null;
+        if (revealedStudentValues.has(inputEl)) return revealedStudentValues.get(inputEl);
+        if (inputEl.type === 'checkbox' || inputEl.type === 'radio') return inputEl.checked ? inputEl.value : '';
+        return inputEl.value;
+    }
+
+    function getResponseCorrectness(item, locked) {
+        if (item.inputEl && item.inputEl.classList.contains('es-revealed')) return false;
+        if (typeof item.isCorrect === 'function') return !!item.isCorrect();
+        if (typeof item.isCorrect === 'boolean') return item.isCorrect;
+        if (locked) return true;
+        if (item.feedbackEl && item.feedbackEl.classList.contains('es-feedback--correct')) return true;
+        if (item.feedbackEl && item.feedbackEl.classList.contains('es-feedback--incorrect')) return false;
+        return null;
+    }
+
+    function buildResponses(items, ws) {
+        return items.filter(Boolean).map(function (item, index) {
+            var inputEl = item.inputEl || null;
+            var locked = !!(inputEl && inputEl.classList.contains('es-correct-locked'));
+            var revealed = inputEl
+                ? inputEl.classList.contains('es-revealed')
+                : !!(ws && ws.revealedQuestions.indexOf(getQuestionLabel(ws, item, index)) !== -1);
+            var attempts = typeof item.attempts === 'number'
+                ? item.attempts
+                : (item.feedbackEl ? checkAttempts.get(item.feedbackEl) || 0 : 0);
+            var hints = ws ? getHintUsage(ws, inputEl) : null;
+
+            return {
+                key: getQuestionKey(item, index),
+                value: getStudentValue(inputEl),
+                expected: item.answer == null ? null : String(item.answer),
+                correct: revealed ? false : getResponseCorrectness(item, locked),
+                locked: locked,
+                revealed: revealed,
+                attempts: attempts,
+                hints_used: hints ? hints.used : 0
+            };
+        });
+    }
+
+    function responsesStep(payload, context) {
+        payload.responses = buildResponses(context.getAnswerItems ? context.getAnswerItems() : [], context.worksheet);
+        return payload;
+    }
+
+    addSubmissionStep(identityStep, 'identity');
+    addSubmissionStep(responsesStep, 'payload');
+    addSubmissionStep(trackingAdapterStep, 'payload');
+    addSubmissionStep(portalTransportStep, 'transport');
+
+    // --- Answer equivalence (ESHEETS.answers) ---
+    // Every check returns a verdict: { status, correct, message }. Status is one of ANSWER_VERDICTS;
+    // 'equivalent' means the value is right but not written in the form the question asks for.
+
+    var ANSWER_VERDICTS = {
+        CORRECT: 'correct',
+        EQUIVALENT: 'equivalent',
+        WRONG_FORMAT: 'wrong-format',
+        INCORRECT: 'incorrect'
+    };
+
+    var SUPERSCRIPT_DIGITS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-', '⁺': '+' };
+
+    function verdict(status, message) {
+        return { status: status, correct: status === ANSWER_VERDICTS.CORRECT, message: message || null };
+    }
+
+    function normaliseMathsInput(value) {
+        return String(value == null ? '' : value).trim()
+            .replace(/[−–—]/g, '-')
+            .replace(/\s+/g, ' ');
+    }
+
+    function gcd(a, b) {
+        a = Math.abs(a);
+        b = Math.abs(b);
+        while (b) {
+            var t = b;
+            b = a % b;
+            a = t;
+        }
+        return a;
+    }
+
+    function closeEnough(a, b, tolerance) {
+        return Math.abs(a - b) <= (tolerance || 0) + 1e-9 * Math.max(1, Math.abs(b));
+    }
+
+    // Plain integers and decimals, with optional thousands separators ("12,500.5").
+    function parseNumberText(value) {
+        var str = normaliseMathsInput(value).replace(/ /g, '');
+        if (/^[+-]?\d{1,3}(,\d{3})+(\.\d*)?$/.test(str)) str = str.replace(/,/g, '');
+        if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(str)) return null;
+        var decimals = str.indexOf('.') === -1 ? 0 : str.split('.')[1].length;
+        return { value: parseFloat(str), decimals: decimals, hasPoint: str.indexOf('.') !== -1 };
+    }
+
+    function reduceFraction(num, den) {
+        if (den < 0) {
+            num = -num;
+            den = -den;
+        }
+        var d = gcd(num, den) || 1;
+        return { num: num / d, den: den / d };
+    }
+
+    function parseFractionText(value) {
+        var str = normaliseMathsInput(value).replace(/ /g, '');
+        var match = str.match(/^([+-]?\d+)\/([+-]?\d+)$/);
+        if (!match) return null;
+        var den = parseInt(match[2], 10);
+        if (den === 0) return null;
+        return { num: parseInt(match[1], 10), den: den };
+    }
+
+    // "1 3/4" or "-2 1/3"; whole numbers and plain fractions are returned too, flagged by shape.
+    function parseMixedText(value) {
+        var str = normaliseMathsInput(value);
+        var match = str.match(/^([+-]?)(\d+) (\d+) ?\/ ?(\d+)$/);
+        if (match) {
+            var den = parseInt(match[4], 10);
+            if (den === 0) return null;
+            var whole = parseInt(match[2], 10);
+            var part = parseInt(match[3], 10);
+            var sign = match[1] === '-' ? -1 : 1;
+            return { num: sign * (whole * den + part), den: den, whole: whole, part: { num: part, den: den }, shape: 'mixed' };
+        }
+        var fraction = parseFractionText(str);
+        if (fraction) return { num: fraction.num, den: fraction.den, part: fraction, shape: 'fraction' };
+        var number = parseNumberText(str);
+        if (number && !number.hasPoint) return { num: number.value, den: 1, shape: 'integer' };
+        return null;
+    }
+
+    // Any exact value a teacher might write as the expected answer: "3/4", "1 3/4", "0.75", "2".
+    function toFraction(value) {
+        var mixed = parseMixedText(value);
+        if (mixed) return reduceFraction(mixed.num, mixed.den);
+        var number = parseNumberText(value);
+        if (!number) return null;
+        var scale = Math.pow(10, number.decimals);
+        return reduceFraction(Math.round(number.value * scale), scale);
+    }
+
+    function sameFraction(a, b) {
+        return a.num * b.den === b.num * a.den;
+    }
+
+    function isLowestTerms(fraction) {
+        return fraction.den > 0 && gcd(fraction.num, fraction.den) === 1;
+    }
+
+    function parseMoneyText(value) {
+        var str = normaliseMathsInput(value).replace(/ /g, '').toLowerCase();
+        var pence = str.match(/^([+-]?)(\d+)p$/);
+        if (pence) return { pence: (pence[1] === '-' ? -1 : 1) * parseInt(pence[2], 10), decimals: 2, exactPence: true };
+
+        var match = str.match(/^([+-]?)£?([+-]?)(\d[\d,]*(?:\.\d*)?|\.\d+)$/);
+        if (!match || (match[1] && match[2])) return null;
+        var number = parseNumberText(match[3]);
+        if (!number) return null;
+        var sign = (match[1] || match[2]) === '-' ? -1 : 1;
+        return { pence: sign * Math.round(number.value * 100), decimals: number.decimals, exactPence: number.decimals <= 2 };
+    }
+
+    function parseRatioText(value) {
+        var parts = normaliseMathsInput(value).split(/ ?: ?/);
+        if (parts.length < 2) return null;
+        var values = [];
+        for (var i = 0; i < parts.length; i++) {
+            var number = parseNumberText(parts[i]);
+            if (!number) return null;
+            values.push(number);
+        }
+        return values;
+    }
+
+    function parseStandardFormText(value) {
+        var str = normaliseMathsInput(value).replace(/10([⁰¹²³⁴⁵⁶⁷⁸⁹⁻⁺]+)/g, function (all, sup) {
+            return '10^' + sup.split('').map(function (c) { return SUPERSCRIPT_DIGITS[c]; }).join('');
+        }).replace(/ /g, '');
+
+        var match = str.match(/^([+-]?(?:\d+\.?\d*|\.\d+))(?:[x×*·]10\^\(?([+-]?\d+)\)?|e([+-]?\d+))$/i);
+        if (!match) {
+            var plain = parseNumberText(str);
+            return plain ? { value: plain.value, plain: true } : null;
+        }
+        var mantissa = parseFloat(match[1]);
+        var exponent = parseInt(match[2] !== undefined ? match[2] : match[3], 10);
+        return {
+            value: mantissa * Math.pow(10, exponent),
+            mantissa: mantissa,
+            exponent: exponent,
+            standard: Math.abs(mantissa) >= 1 && Math.abs(mantissa) < 10,
+            plain: false
+        };
+    }
+
+    function plural(n, word) {
+        return n + ' ' + word + (n === 1 ? '' : 's');
+    }
+
+    var answerKinds = {
+        exact: function (value, expected) {
+            var norm = function (v) { return normaliseMathsInput(v).toLowerCase(); };
+            return verdict(norm(value) === norm(expected) ? ANSWER_VERDICTS.CORRECT : ANSWER_VERDICTS.INCORRECT);
+        },
+
+        integer: function (value, expected) {
+            var v = parseNumberText(value);
+            var e = parseNumberText(expected);
+            if (!v) return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Enter a whole number.');
+            if (v.value % 1 !== 0) return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Your answer should be a whole number.');
+            return verdict(e && v.value === e.value ? ANSWER_VERDICTS.CORRECT : ANSWER_VERDICTS.INCORRECT);
+        },
+
+        decimal: function (value, expected, options) {
+            var v = parseNumberText(value);
+            var e = parseNumberText(expected);
+            if (!v) return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Enter a number.');
+            var close = !!e && closeEnough(v.value, e.value, options.tolerance);
+            if (options.dp != null && v.decimals !== options.dp) {
+                return close
+                    ? verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Give your answer to ' + plural(options.dp, 'decimal place') + '.')
+                    : verdict(ANSWER_VERDICTS.INCORRECT);
+            }
+            return verdict(close ? ANSWER_VERDICTS.CORRECT : ANSWER_VERDICTS.INCORRECT);
+        },
+
+        money: function (value, expected, options) {
+            var v = parseMoneyText(value);
+            var e = parseMoneyText(expected);
+            if (!v) return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Enter an amount of money, like £3.50.');
+            if (!e || !closeEnough(v.pence, e.pence, (options.tolerance || 0) * 100) || !v.exactPence) {
+                return verdict(ANSWER_VERDICTS.INCORRECT);
+            }
+            if (v.decimals !== 0 && v.decimals !== 2) {
+                return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Write money with two decimal places, like £3.50.');
+            }
+            return verdict(ANSWER_VERDICTS.CORRECT);
+        },
+
+        fraction: function (value, expected, options) {
+            var e = toFraction(expected);
+            var v = parseFractionText(value);
+            if (!v) {
+                var other = toFraction(value);
+                if (!other) return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Enter a fraction, like 3/4.');
+                if (!e || !sameFraction(other, e)) return verdict(ANSWER_VERDICTS.INCORRECT);
+                // A whole number is fine for a whole answer; decimals and mixed numbers are not fractions.
+                var shape = parseMixedText(value);
+                return shape && shape.shape === 'integer' && e.den === 1
+                    ? verdict(ANSWER_VERDICTS.CORRECT)
+                    : verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Give your answer as a fraction, like 3/4.');
+            }
+            if (!e || !sameFraction(v, e)) return verdict(ANSWER_VERDICTS.INCORRECT);
+            if (options.form === 'simplest' && (!isLowestTerms(v) || v.den === 1)) {
+                return verdict(ANSWER_VERDICTS.EQUIVALENT, reduceFraction(v.num, v.den).den === 1
+                    ? 'Right value — write it as a whole number.'
+                    : 'Right value — now write the fraction in its simplest form.');
+            }
+            return verdict(ANSWER_VERDICTS.CORRECT);
+        },
+
+        mixed: function (value, expected, options) {
+            var e = toFraction(expected);
+            var v = parseMixedText(value);
+            if (!v) return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Enter a mixed number, like 1 3/4.');
+            if (!e || !sameFraction(v, e)) return verdict(ANSWER_VERDICTS.INCORRECT);
+            if (v.shape === 'fraction' && Math.abs(v.part.num) >= Math.abs(v.part.den)) {
+                return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Write this as a mixed number, like 1 3/4.');
+            }
+            if (options.form === 'simplest' && v.part && (v.part.num >= v.part.den || gcd(v.part.num, v.part.den) !== 1)) {
+                return verdict(ANSWER_VERDICTS.EQUIVALENT, 'Right value — now simplify the fraction part.');
+            }
+            return verdict(ANSWER_VERDICTS.CORRECT);
+        },
+
+        ratio: function (value, expected, options) {
+            var v = parseRatioText(value);
+            var e = parseRatioText(expected);
+            if (!v) return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Write a ratio using a colon, like 2:3.');
+            if (!e || v.length !== e.length) {
+                return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Your ratio should have ' + (e ? e.length : 2) + ' parts.');
+            }
+
+            function proportional(a, b) {
+                for (var i = 1; i < a.length; i++) {
+                    if (!closeEnough(a[i].value * b[0].value, b[i].value * a[0].value, 0)) return false;
+                }
+                return a[0].value !== 0 || b[0].value === 0;
+            }
+
+            if (!proportional(v, e)) {
+                var reversed = e.slice().reverse();
+                return proportional(v, reversed) && v.length === 2
+                    ? verdict(ANSWER_VERDICTS.INCORRECT, 'Check the order of your ratio.')
+                    : verdict(ANSWER_VERDICTS.INCORRECT);
+            }
+            if (options.form === 'simplest') {
+                if (v.some(function (part) { return part.value % 1 !== 0; })) {
+                    return verdict(ANSWER_VERDICTS.EQUIVALENT, 'Right ratio — now write it using whole numbers.');
+                }
+                var common = v.reduce(function (acc, part) { return gcd(acc, part.value); }, 0);
+                if (common > 1) return verdict(ANSWER_VERDICTS.EQUIVALENT, 'Right ratio — now simplify it.');
+            }
+            return verdict(ANSWER_VERDICTS.CORRECT);
+        },
+
+        percent: function (value, expected, options) {
+            var str = normaliseMathsInput(value).replace(/ /g, '');
+            var hasSymbol = /%$/.test(str);
+            var v = parseNumberText(str.replace(/%$/, ''));
+            var e = parseNumberText(normaliseMathsInput(expected).replace(/ ?%$/, ''));
+            if (!v) return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Enter a percentage, like 45%.');
+            if (e && closeEnough(v.value, e.value, options.tolerance)) {
+                return options.requireSymbol && !hasSymbol
+                    ? verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Include the % sign.')
+                    : verdict(ANSWER_VERDICTS.CORRECT);
+            }
+            if (e && !hasSymbol && closeEnough(v.value * 100, e.value, options.tolerance)) {
+                return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'That is a decimal — write it as a percentage.');
+            }
+            return verdict(ANSWER_VERDICTS.INCORRECT);
+        },
+
+        coordinate: function (value, expected, options) {
+            function parse(str) {
+                var match = normaliseMathsInput(str).match(/^\(? ?([^,()]+?) ?, ?([^,()]+?) ?\)?$/);
+                if (!match) return null;
+                var x = parseNumberText(match[1]);
+                var y = parseNumberText(match[2]);
+                return x && y ? { x: x.value, y: y.value } : null;
+            }
+            var v = parse(value);
+            var e = parse(expected);
+            if (!v) return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Write coordinates like (3, -2).');
+            if (e && closeEnough(v.x, e.x, options.tolerance) && closeEnough(v.y, e.y, options.tolerance)) {
+                return verdict(ANSWER_VERDICTS.CORRECT);
+            }
+            if (e && closeEnough(v.x, e.y, options.tolerance) && closeEnough(v.y, e.x, options.tolerance)) {
+                return verdict(ANSWER_VERDICTS.INCORRECT, 'Check the order: x-coordinate first, then y.');
+            }
+            return verdict(ANSWER_VERDICTS.INCORRECT);
+        },
+
+        'standard-form': function (value, expected, options) {
+            var v = parseStandardFormText(value);
+            var e = parseStandardFormText(expected);
+            if (!v) return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Write your answer in standard form, like 3.2 × 10^4.');
+            if (!e || !closeEnough(v.value, e.value, options.tolerance)) return verdict(ANSWER_VERDICTS.INCORRECT);
+            if (v.plain) return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Right value — now write it in standard form, like 3.2 × 10^4.');
+            if (!v.standard) return verdict(ANSWER_VERDICTS.EQUIVALENT, 'Right value — the first number must be at least 1 and less than 10.');
+            return verdict(ANSWER_VERDICTS.CORRECT);
+        }
+    };
+
+    // Short names used by data-es-check; "-simplest" variants insist on lowest terms.
+    answerKinds.number = answerKinds.decimal;
+    answerKinds['fraction-simplest'] = function (value, expected, options) {
+        return answerKinds.fraction(value, expected, Object.assign({}, options, { form: 'simplest' }));
+    };
+    answerKinds['mixed-simplest'] = function (value, expected, options) {
+        return answerKinds.mixed(value, expected, Object.assign({}, options, { form: 'simplest' }));
+    };
+    answerKinds['ratio-simplest'] = function (value, expected, options) {
+        return answerKinds.ratio(value, expected, Object.assign({}, options, { form: 'simplest' }));
+    };
+
+    // --- Algebraic expressions ---
+    // A small recursive-descent parser: + - * / ^, brackets, implicit multiplication ("2x", "3(x+1)",
+    // "(x+1)(x-1)") and single-letter variables ("xy" is x times y). Equivalence is decided by
+    // evaluating both sides at fixed pseudo-random points.
+
+    var EXPRESSION_MAX_LENGTH = 200;
+    var EXPRESSION_SAMPLES = 8;
+
+    function tokeniseExpression(text) {
+        var str = normaliseMathsInput(text)
+            .replace(/[×·]/g, '*')
+            .replace(/÷/g, '/')
+            .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻⁺]+/g, function (sup) {
+                return '^(' + sup.split('').map(function (c) { return SUPERSCRIPT_DIGITS[c]; }).join('') + ')';
+            })
+            .replace(/ /g, '');
+
+        if (!str || str.length > EXPRESSION_MAX_LENGTH) return null;
+
+        var tokens = [];
+        var i = 0;
+        while (i < str.length) {
+            var c = str.charAt(i);
+            var number = str.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+            if (number) {
+                tokens.push({ type: 'num', value: parseFloat(number[1]) });
+                i += number[1].length;
+            } else if (/[a-zA-Z]/.test(c)) {
+                tokens.push({ type: 'var', name: c });
+                i++;
+            } else if ('+-*/^()'.indexOf(c) !== -1) {
+                tokens.push({ type: c });
+                i++;
+            } else {
+                return null;
+            }
+        }
+        return tokens;
+    }
+
+    function parseExpressionTree(text) {
+        var tokens = tokeniseExpression(text);
+        if (!tokens) return null;
+        var pos = 0;
+
+        function peek() { return tokens[pos] || { type: 'end' }; }
+        function take() { return tokens[pos++]; }
+
+        function parseSum() {
+            var node = parseProduct();
+            while (peek().type === '+' || peek().type === '-') {
+                var op = take().type;
+                node = { type: 'bin', op: op, left: node, right: parseProduct() };
+            }
+            return node;
+        }
+
+        function parseProduct() {
+            var node = parseUnary();
+            for (;;) {
+                var next = peek().type;
+                if (next === '*' || next === '/') {
+                    take();
+                    node = { type: 'bin', op: next, left: node, right: parseUnary() };
+                } else if (next === 'num' || next === 'var' || next === '(') {
+                    node = { type: 'bin', op: '*', left: node, right: parsePower(), implicit: true };
+                } else {
+                    return node;
+                }
+            }
+        }
+
+        function parseUnary() {
+            if (peek().type === '-') {
+                take();
+                return { type: 'neg', arg: parseUnary() };
+            }
+            if (peek().type === '+') {
+                take();
+                return parseUnary();
+            }
+            return parsePower();
+        }
+
+        function parsePower() {
+            var base = parsePrimary();
+            if (peek().type === '^') {
+                take();
+                return { type: 'bin', op: '^', left: base, right: parseUnary() };
+            }
+            return base;
+        }
+
+        function parsePrimary() {
+            var token = take();
+            if (!token) throw new Error('Unexpected end');
+            if (token.type === 'num') return { type: 'num', value: token.value };
+            if (token.type === 'var') return { type: 'var', name: token.name };
+            if (token.type === '(') {
+                var inner = parseSum();
+                if (!take() || tokens[pos - 1].type !== ')') throw new Error('Missing )');
+                return { type: 'group', arg: inner };
+            }
+            throw new Error('Unexpected ' + token.type);
+        }
+
+        try {
+            var tree = parseSum();
+            return pos === tokens.length ? tree : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function evaluateExpressionTree(node, scope) {
+        switch (node.type) {
+            case 'num': return node.value;
+            case 'var': return scope[node.name];
+            case 'group': return evaluateExpressionTree(node.arg, scope);
+            case 'neg': return -evaluateExpressionTree(node.arg, scope);
+        }
+        var a = evaluateExpressionTree(node.left, scope);
+        var b = evaluateExpressionTree(node.right, scope);
+        switch (node.op) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return a / b;
+            default: return Math.pow(a, b);
+        }
+    }
+
+    function collectExpressionVariables(node, names) {
+        if (node.type === 'var' && names.indexOf(node.name) === -1) names.push(node.name);
+        if (node.arg) collectExpressionVariables(node.arg, names);
+        if (node.left) collectExpressionVariables(node.left, names);
+        if (node.right) collectExpressionVariables(node.right, names);
+        return names;
+    }
+
+    function expressionsEquivalent(a, b) {
+        var names = collectExpressionVariables(b, collectExpressionVariables(a, []));
+        // A fixed seed keeps marking repeatable and leaves the worksheet's own random stream alone.
+        var state = 0x9E3779B9;
+        var compared = 0;
+
+        for (var attempt = 0; attempt < EXPRESSION_SAMPLES * 3 && compared < EXPRESSION_SAMPLES; attempt++) {
+            var scope = {};
+            names.forEach(function (name) {
+                state = (state + 0x6D2B79F5) | 0;
+                var t = Math.imul(state ^ (state >>> 15), state | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                var r = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+                scope[name] = (r < 0.5 ? -1 : 1) * (0.5 + r * 3);
+            });
+            var va = evaluateExpressionTree(a, scope);
+            var vb = evaluateExpressionTree(b, scope);
+            if (!isFinite(va) || !isFinite(vb)) continue;
+            if (Math.abs(va - vb) > 1e-6 * Math.max(1, Math.abs(va), Math.abs(vb))) return false;
+            compared++;
+        }
+        return compared > 0;
+    }
+
+    // Terms of the top-level sum. A negated bracket stays one term so "-(x+1)" is not treated as expanded.
+    function expressionTerms(node, sign, terms) {
+        terms = terms || [];
+        if (node.type === 'bin' && (node.op === '+' || node.op === '-')) {
+            expressionTerms(node.left, sign, terms);
+            expressionTerms(node.right, node.op === '-' ? -sign : sign, terms);
+        } else if (node.type === 'neg' && !isSumNode(node.arg)) {
+            expressionTerms(node.arg, -sign, terms);
+        } else {
+            terms.push({ sign: sign, node: node });
+        }
+        return terms;
+    }
+
+    function isSumNode(node) {
+        while (node.type === 'group') node = node.arg;
+        return node.type === 'bin' && (node.op === '+' || node.op === '-');
+    }
+
+    // Coefficient times variable powers, or null when the term still contains a bracketed sum.
+    function expressionMonomial(node) {
+        switch (node.type) {
+            case 'num': return { coef: node.value, powers: {}, numbers: 1, repeated: false };
+            case 'var':
+                var powers = {};
+                powers[node.name] = 1;
+                return { coef: 1, powers: powers, numbers: 0, repeated: false };
+            case 'group': return isSumNode(node.arg) ? null : expressionMonomial(node.arg);
+            case 'neg':
+                var inner = expressionMonomial(node.arg);
+                if (inner) inner.coef = -inner.coef;
+                return inner;
+        }
+        if (node.op === '^') {
+            var base = expressionMonomial(node.left);
+            var exponent = collectExpressionVariables(node.right, []).length ? NaN : evaluateExpressionTree(node.right, {});
+            if (!base || exponent % 1 !== 0) return null;
+            var raised = { coef: Math.pow(base.coef, exponent), powers: {}, numbers: base.numbers, repeated: base.repeated };
+            Object.keys(base.powers).forEach(function (name) { raised.powers[name] = base.powers[name] * exponent; });
+            return raised;
+        }
+        if (node.op === '*' || node.op === '/') {
+            var left = expressionMonomial(node.left);
+            var right = expressionMonomial(node.right);
+            if (!left || !right) return null;
+            if (node.op === '/' && Object.keys(right.powers).length) return null;
+            var merged = {
+                coef: node.op === '*' ? left.coef * right.coef : left.coef / right.coef,
+                powers: {},
+                numbers: left.numbers + right.numbers,
+                repeated: left.repeated || right.repeated
+            };
+            [left.powers, right.powers].forEach(function (powers) {
+                Object.keys(powers).forEach(function (name) {
+                    if (merged.powers[name]) merged.repeated = true;
+                    merged.powers[name] = (merged.powers[name] || 0) + powers[name];
+                });
+            });
+            return merged;
+        }
+        return null;
+    }
+
+    function monomialSignature(mono) {
+        return Object.keys(mono.powers).sort().map(function (name) {
+            return name + '^' + mono.powers[name];
+        }).join('*');
+    }
+
+    function expressionSource(node) {
+        switch (node.type) {
+            case 'num': return String(node.value);
+            case 'var': return node.name;
+            case 'group': return '(' + expressionSource(node.arg) + ')';
+            case 'neg': return '-' + expressionSource(node.arg);
+        }
+        return expressionSource(node.left) + node.op + expressionSource(node.right);
+    }
+
+    function analyseExpressionForm(tree) {
+        var terms = expressionTerms(tree, 1);
+        var seen = {};
+        var simplified = true;
+        var expanded = true;
+
+        terms.forEach(function (term) {
+            var mono = expressionMonomial(term.node);
+            var signature;
+            if (mono) {
+                if (mono.numbers > 1 || mono.repeated || (mono.coef === 0 && terms.length > 1)) simplified = false;
+                signature = 'm:' + monomialSignature(mono);
+            } else {
+                expanded = false;
+                signature = 'e:' + expressionSource(term.node);
+            }
+            if (seen[signature]) simplified = false;
+            seen[signature] = true;
+        });
+
+        return { simplified: simplified, expanded: expanded && simplified, factorised: expressionFactorisation(tree) };
+    }
+
+    // 'full' when the expression is a product whose bracketed sums have no common factor left.
+    function expressionFactorisation(tree) {
+        var node = tree;
+        while (node.type === 'neg' || node.type === 'group') node = node.arg;
+        if (isSumNode(node) || !(node.type === 'bin' && (node.op === '*' || node.op === '^'))) return 'none';
+
+        var factors = [];
+        (function collect(n) {
+            while (n.type === 'group' && !isSumNode(n.arg)) n = n.arg;
+            if (n.type === 'bin' && n.op === '*') {
+                collect(n.left);
+                collect(n.right);
+            } else if (n.type === 'bin' && n.op === '^') {
+                collect(n.left);
+            } else {
+                factors.push(n);
+            }
+        })(node);
+
+        var sums = factors.filter(isSumNode);
+        if (!sums.length) return 'none';
+
+        var partial = sums.some(function (sum) {
+            var monos = expressionTerms(sum.type === 'group' ? sum.arg : sum, 1).map(function (term) {
+                return expressionMonomial(term.node);
+            });
+            if (monos.some(function (mono) { return !mono; })) return false;
+            var common = monos.reduce(function (acc, mono) {
+                return mono.coef % 1 === 0 ? gcd(acc, mono.coef) : 1;
+            }, 0);
+            var sharedVariable = Object.keys(monos[0].powers).some(function (name) {
+                return monos.every(function (mono) { return mono.powers[name] > 0; });
+            });
+            return common > 1 || sharedVariable;
+        });
+        return partial ? 'partial' : 'full';
+    }
+
+    answerKinds.expression = function (value, expected, options) {
+        var v = parseExpressionTree(value);
+        var e = parseExpressionTree(expected);
+        if (!v) return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Check your expression — it could not be read.');
+        if (!e) {
+            console.warn('ESHEETS: expected expression "' + expected + '" could not be parsed');
+            return verdict(ANSWER_VERDICTS.INCORRECT);
+        }
+        if (!expressionsEquivalent(v, e)) return verdict(ANSWER_VERDICTS.INCORRECT);
+
+        var form = analyseExpressionForm(v);
+        if (options.form === 'expanded' && !form.expanded) {
+            return verdict(ANSWER_VERDICTS.EQUIVALENT, form.simplified
+                ? 'Right expression — now expand the brackets.'
+                : 'Right expression — now expand and collect like terms.');
+        }
+        if (options.form === 'simplified' && !form.simplified) {
+            return verdict(ANSWER_VERDICTS.EQUIVALENT, 'Right expression — now simplify it fully.');
+        }
+        if ((options.form === 'factorised' || options.form === 'factorized') && form.factorised !== 'full') {
+            return verdict(ANSWER_VERDICTS.EQUIVALENT, form.factorised === 'partial'
+                ? 'Right expression — now factorise it fully.'
+                : 'Right expression — now factorise it.');
+        }
+        return verdict(ANSWER_VERDICTS.CORRECT);
+    };
+
+    ['expanded', 'factorised', 'simplified'].forEach(function (form) {
+        answerKinds['expression-' + form] = function (value, expected, options) {
+            return answerKinds.expression(value, expected, Object.assign({}, options, { form: form }));
+        };
+    });
+
+    function checkAnswerKind(kind, value, expected, options) {
+        var check = answerKinds[kind];
+        if (typeof check !== 'function') {
+            console.warn('ESHEETS: unknown answer kind "' + kind + '"; comparing as text');
+            check = answerKinds.exact;
+        }
+        if (!normaliseMathsInput(value)) return verdict(ANSWER_VERDICTS.WRONG_FORMAT, 'Enter an answer first.');
+
+        var result = check(value, expected, options || {}) || {};
+        if (typeof result.status !== 'string') {
+            return verdict(result.correct ? ANSWER_VERDICTS.CORRECT : ANSWER_VERDICTS.INCORRECT, result.message);
+        }
+        return result;
+    }
+
+    var answers = {
+        VERDICTS: ANSWER_VERDICTS,
+        check: checkAnswerKind,
+        register: function (kind, fn) {
+            if (!kind || typeof fn !== 'function') {
+                console.warn('ESHEETS: answers.register expects a kind and a function');
+                return;
+            }
+            answerKinds[kind] = fn;
+        },
+        kinds: function () {
+            return Object.keys(answerKinds);
+        },
+        solutionHtml: solutionHtml,
+        parseExpression: function (text) {
+            var tree = parseExpressionTree(text);
+            if (!tree) return null;
+            return {
+                variables: collectExpressionVariables(tree, []),
+                evaluate: function (scope) { return evaluateExpressionTree(tree, scope || {}); }
+            };
+        }
+    };
+
+    Object.keys(answerKinds).forEach(function (kind) {
+        if (kind === 'number' || kind.indexOf('-') !== -1) return;
+        answers[kind] = function (value, expected, options) {
+            return checkAnswerKind(kind, value, expected, options);
+        };
+    });
+    answers.standardForm = function (value, expected, options) {
+        return checkAnswerKind('standard-form', value, expected, options);
+    };
+
+    // --- Declarative answer checking ---
+    // <input data-es-answer="3/4" data-es-check="fraction-simplest"> is wired with a check button,
+    // Enter-to-check, feedback, locking and score totals. Inputs that share a [data-es-question]
+    // container (or, failing that, a parent element) are checked together by one button.
+
+    var DECLARATIVE_SELECTOR = 'input[data-es-answer], textarea[data-es-answer], select[data-es-answer]';
+
+    function checkDeclarativeInput(inputEl) {
+        var expected = inputEl.getAttribute('data-es-answer');
+        var tolerance = parseFloat(inputEl.getAttribute('data-es-tolerance'));
+        var dp = parseInt(inputEl.getAttribute('data-es-dp'), 10);
+        var kind = inputEl.getAttribute('data-es-check') ||
+            (!isNaN(tolerance) || !isNaN(dp) || parseNumberText(expected) ? 'number' : 'exact');
+
+        return checkAnswerKind(kind, inputEl.value, expected, {
+            tolerance: isNaN(tolerance) ? 0 : Math.abs(tolerance),
+            dp: isNaN(dp) ? null : dp
+        });
+    }
+
+    function isDeclarativeLocked(inputEl) {
+        return inputEl.classList.contains('es-correct-locked') || inputEl.classList.contains('es-revealed');
+    }
+
+    function getDeclarativeInputs(ws) {
+        return Array.prototype.slice.call(getScopeRoot(ws).querySelectorAll(DECLARATIVE_SELECTOR));
+    }
+
+    function getGroupInputs(group) {
+        return Array.prototype.slice.call(group.el.querySelectorAll(DECLARATIVE_SELECTOR));
+    }
+
+    function checkDeclarativeGroup(ws, group, final) {
+        var api = ws.instance || window.ESHEETS;
+        var inputs = getGroupInputs(group);
+        var open = inputs.filter(function (inputEl) { return !isDeclarativeLocked(inputEl); });
+        if (!open.length) return;
+
+        if (open.every(function (inputEl) { return !String(inputEl.value).trim(); })) {
+            if (final) {
+                api.setFeedback(group.feedbackEl, 'incorrect', 'No answer given.');
+            } else {
+                api.setFeedback(group.feedbackEl, 'neutral', 'Enter an answer first.');
+            }
+            return;
+        }
+
+        var message = null;
+        var allCorrect = true;
+        open.forEach(function (inputEl) {
+            var verdict = checkDeclarativeInput(inputEl);
+            if (verdict.correct) {
+                api.lockCorrectAnswer(inputEl);
+            } else {
+                allCorrect = false;
+                if (!message && verdict.message) message = verdict.message;
+            }
+        });
+
+        if (allCorrect) {
+            api.setFeedback(group.feedbackEl, 'correct', 'Correct!');
+            api.lockCorrectAnswer(null, group.checkBtn);
+        } else {
+            api.setFeedback(group.feedbackEl, 'incorrect', message || (inputs.length > 1 ? 'Not all parts are right yet — try again.' : 'Not quite — try again.'));
+        }
+
+        updateAutoScore(ws);
+        // Moving on by itself would give away a correct answer before the exam ends.
+        if (allCorrect && !isExamRunning(ws)) api.focusNextUnanswered(inputs[inputs.length - 1]);
+    }
+
+    function wireDeclarativeGroup(ws, groupEl) {
+        var inputs = Array.prototype.slice.call(groupEl.querySelectorAll(DECLARATIVE_SELECTOR));
+        var last = inputs[inputs.length - 1];
+
+        var checkBtn = groupEl.querySelector('[data-es-check-btn]');
+        if (!checkBtn) {
+            checkBtn = document.createElement('button');
+            checkBtn.type = 'button';
+            checkBtn.className = 'esheets-btn esheets-btn-secondary es-btn-small es-check-btn';
+            checkBtn.textContent = 'Check';
+            last.parentNode.insertBefore(checkBtn, last.nextSibling);
+        }
+
+        var feedbackEl = groupEl.querySelector('[data-es-feedback]');
+        if (!feedbackEl) {
+            feedbackEl = document.createElement('span');
+            feedbackEl.setAttribute('data-es-feedback', '');
+            feedbackEl.setAttribute('aria-live', 'polite');
+            checkBtn.parentNode.insertBefore(feedbackEl, checkBtn.nextSibling);
+        }
+        feedbackEl.classList.add('es-feedback');
+
+        var group = { el: groupEl, checkBtn: checkBtn, feedbackEl: feedbackEl };
+
+        checkBtn.addEventListener('click', function (e) {
+            e.preventDefault();
+            checkDeclarativeGroup(ws, group);
+        });
+        groupEl.addEventListener('keydown', function (e) {
+            if (e.key !== 'Enter' || !e.target.matches || !e.target.matches(DECLARATIVE_SELECTOR) || e.target.tagName === 'TEXTAREA') return;
+            e.preventDefault();
+            checkDeclarativeGroup(ws, group);
+        });
+
+        return group;
+    }
+
+    function wireDeclarativeAnswers(ws) {
+        var root = getScopeRoot(ws);
+        ws.declarativeGroups = ws.declarativeGroups.filter(function (group) { return root.contains(group.el); });
+
+        getDeclarativeInputs(ws).forEach(function (inputEl) {
+            var groupEl = inputEl.closest('[data-es-question]') || inputEl.parentElement;
+            var known = ws.declarativeGroups.some(function (group) { return group.el === groupEl; });
+            if (!known) ws.declarativeGroups.push(wireDeclarativeGroup(ws, groupEl));
+        });
+
+        ws.declarativeGroups.forEach(function (group) {
+            var id = group.el.getAttribute('data-es-question');
+            var marks = parseFloat(group.el.getAttribute('data-es-marks'));
+            var known = ws.questions.some(function (question) { return question.id === id; });
+            if (id && !isNaN(marks) && !known) addQuestion(ws, { id: id, marks: marks, el: group.el });
+        });
+
+        wireHints(ws);
+        wireQuestionReveals(ws);
+        updateAutoScore(ws);
+    }
+
+    function resetDeclarativeAnswers(ws) {
+        var api = ws.instance || window.ESHEETS;
+        getDeclarativeInputs(ws).forEach(function (inputEl) {
+            inputEl.value = '';
+            inputEl.disabled = false;
+            inputEl.readOnly = false;
+            inputEl.classList.remove('es-correct-locked', 'es-revealed');
+        });
+        ws.declarativeGroups.forEach(function (group) {
+            group.checkBtn.style.display = '';
+            group.checkBtn.style.visibility = '';
+            group.feedbackEl.removeAttribute('data-original');
+            api.clearFeedback(group.feedbackEl);
+        });
+    }
+
+
+    // --- Question marks ---
+    // Registered questions (and any declarative inputs outside them, at a mark each) drive the
+    // score. A part earns its marks once its input is locked correct without being revealed.
+
+    var MARKED_INPUT_SELECTOR = 'input:not([type="button"]):not([type="submit"]):not([type="hidden"]), select, textarea';
+
+    function roundMarks(n) {
+        return Math.round(n * 100) / 100;
+    }
+
+    function addQuestion(ws, def) {
+        var id = String(def.id);
+        var parts = (def.parts || []).map(function (part, i) {
+            return {
+                id: part.id != null ? String(part.id) : String.fromCharCode(97 + i),
+                marks: typeof part.marks === 'number' ? part.marks : null,
+                input: part.input || part.inputEl || null,
+                isCorrect: part.isCorrect
+            };
+        });
+
+        var partTotal = parts.reduce(function (acc, part) { return acc + (part.marks || 0); }, 0);
+        var marks = typeof def.marks === 'number' ? def.marks : (partTotal || parts.length || 1);
+        var unweighted = parts.filter(function (part) { return part.marks === null; });
+
+        if (unweighted.length) {
+            var share = Math.max(0, marks - partTotal) / unweighted.length;
+            unweighted.forEach(function (part) { part.marks = share; });
+        } else if (parts.length && Math.abs(partTotal - marks) > 1e-9) {
+            console.warn('ESHEETS: question "' + id + '" parts add up to ' + partTotal + ' marks, not ' + marks + '; using the parts');
+            marks = partTotal;
+        }
+
+        var question = { id: id, label: def.label || id, marks: marks, parts: parts, el: def.el || null, isCorrect: def.isCorrect };
+        ws.questions = ws.questions.filter(function (q) { return q.id !== id; }).concat([question]);
+        return question;
+    }
+
+    function resolveMarkedElement(ws, ref) {
+        return typeof ref === 'string' ? getScopeRoot(ws).querySelector(ref) : (ref || null);
+    }
+
+    function findQuestionElement(ws, question) {
+        var el = resolveMarkedElement(ws, question.el);
+        if (el) return el;
+        var candidates = getScopeRoot(ws).querySelectorAll('[data-es-question]');
+        for (var i = 0; i < candidates.length; i++) {
+            if (candidates[i].getAttribute('data-es-question') === question.id) return candidates[i];
+        }
+        return null;
+    }
+
+    // Without explicit parts, each input in the question is a part with an equal share of the marks.
+    function getQuestionParts(ws, question) {
+        if (question.parts.length) return question.parts;
+
+        var el = findQuestionElement(ws, question);
+        var inputs = el ? Array.prototype.slice.call(el.querySelectorAll(MARKED_INPUT_SELECTOR)) : [];
+        if (!inputs.length || typeof question.isCorrect === 'function') {
+            return [{ id: question.id, marks: question.marks, input: null, isCorrect: question.isCorrect }];
+        }
+        return inputs.map(function (inputEl, i) {
+            return { id: inputEl.id || String(i + 1), marks: question.marks / inputs.length, input: inputEl };
+        });
+    }
+
+    function isInputEarned(inputEl) {
+        return !!inputEl && inputEl.classList.contains('es-correct-locked') && !inputEl.classList.contains('es-revealed');
+    }
+
+    function computeMarks(ws) {
+        var covered = [];
+        var questions = ws.questions.map(function (question) {
+            var questionEl = findQuestionElement(ws, question);
+            var questionRevealed = ws.revealedQuestions.indexOf(question.label) !== -1;
+            var parts = getQuestionParts(ws, question).map(function (part) {
+                var inputEl = resolveMarkedElement(ws, part.input);
+                if (inputEl) covered.push(inputEl);
+                // A revealed answer earns nothing, whatever isCorrect says about the value the reveal wrote in.
+                var revealed = questionRevealed || (inputEl
+                    ? inputEl.classList.contains('es-revealed')
+                    : !!(questionEl && questionEl.querySelector('.es-revealed')));
+                var earned = !revealed && (typeof part.isCorrect === 'function' ? !!part.isCorrect() : isInputEarned(inputEl));
+                var hints = getHintUsage(ws, inputEl);
+                var result = { id: part.id, marks: roundMarks(part.marks), awarded: earned ? roundMarks(marksAfterHints(hints, part.marks)) : 0 };
+                if (hints) result.hints_used = hints.used;
+                return result;
+            });
+
+            var entry = {
+                id: question.id,
+                label: question.label,
+                marks: roundMarks(question.marks),
+                awarded: roundMarks(parts.reduce(function (acc, part) { return acc + part.awarded; }, 0))
+            };
+            var hintsUsed = parts.reduce(function (acc, part) { return acc + (part.hints_used || 0); }, 0);
+            if (hintsUsed) entry.hints_used = hintsUsed;
+            if (question.parts.length) entry.parts = parts;
+            return entry;
+        });
+
+        getDeclarativeInputs(ws).forEach(function (inputEl, i) {
+            if (covered.indexOf(inputEl) !== -1) return;
+            var id = inputEl.id || inputEl.name || 'q' + (i + 1);
+            var hints = getHintUsage(ws, inputEl);
+            var entry = { id: id, label: id, marks: 1, awarded: isInputEarned(inputEl) ? roundMarks(marksAfterHints(hints, 1)) : 0, implicit: true };
+            if (hints) entry.hints_used = hints.used;
+            questions.push(entry);
+        });
+
+        return {
+            score: roundMarks(questions.reduce(function (acc, q) { return acc + q.awarded; }, 0)),
+            maxScore: roundMarks(questions.reduce(function (acc, q) { return acc + q.marks; }, 0)),
+            questions: questions
+        };
+    }
+
+    function usesAutoScore(ws) {
+        return ws.questions.length > 0 || ws.declarativeGroups.length > 0;
+    }
+
+    function updateAutoScore(ws) {
+        if (!ws.isMounted || !usesAutoScore(ws)) return;
+        var data = computeMarks(ws);
+        (ws.instance || window.ESHEETS).setScore(data.score, data.maxScore);
+        if (ws.submissionBar) ws.submissionBar.updateState(data.score);
+    }
+
+    function createQuestionMarksList(questionMarks) {
+        var list = document.createElement('div');
+        list.className = 'es-question-marks';
+        list.style.marginTop = '0.35rem';
+        list.style.fontSize = '0.9em';
+        list.textContent = 'Marks by question: ' + questionMarks.map(function (q) {
+            return q.label + ' ' + q.awarded + '/' + q.marks;
+        }).join(' · ');
+        return list;
+    }
+
+    // --- Hints ---
+    // Items with hints = [...] get a Hint button beside their check button. Hints open one tier at
+    // a time; each one used lowers the marks still available for that question (item.hintCost per
+    // hint, or an equal share of the marks so that using every hint still leaves some).
+
+    function parseHintsAttribute(el) {
+        var raw = el ? el.getAttribute('data-es-hints') : null;
+        if (!raw) return null;
+        try {
+            var parsed = JSON.parse(raw);
+            if (Array.isArray(parsed)) return parsed.map(String);
+        } catch (e) {
+            // Not JSON: fall back to "first hint | second hint".
+        }
+        return raw.split('|').map(function (hint) { return hint.trim(); }).filter(Boolean);
+    }
+
+    function findHintWidget(ws, el) {
+        for (var i = 0; i < ws.hintWidgets.length; i++) {
+            var widget = ws.hintWidgets[i];
+            if (widget.placement === el || widget.anchors.indexOf(el) !== -1) return widget;
+        }
+        return null;
+    }
+
+    function renderHintButton(widget) {
+        var total = widget.hints.length;
+        var used = widget.used;
+        widget.btn.disabled = used >= total;
+        if (used === 0) {
+            widget.btn.textContent = total > 1 ? 'Hint (' + total + ')' : 'Hint';
+        } else if (used < total) {
+            widget.btn.textContent = 'Another hint (' + (total - used) + ' left)';
+        } else {
+            widget.btn.textContent = 'No more hints';
+        }
+    }
+
+    function showHint(widget, tier) {
+        var line = document.createElement('div');
+        line.textContent = 'Hint ' + tier + ': ' + widget.hints[tier - 1];
+        widget.box.appendChild(line);
+    }
+
+    function createHintWidget(ws, item, key) {
+        var placement = item.checkBtnEl || item.inputEl;
+
+        var btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'esheets-btn esheets-btn-secondary es-btn-small es-hint-btn';
+        btn.title = 'Each hint you use lowers the marks available for this question.';
+        placement.parentNode.insertBefore(btn, placement.nextSibling);
+
+        var box = document.createElement('div');
+        box.className = 'es-hint';
+        box.setAttribute('data-snapshot-exclude', '');
+        box.setAttribute('aria-live', 'polite');
+        box.style.marginTop = '0.35rem';
+        box.style.fontSize = '0.9em';
+        var boxAfter = item.feedbackEl && item.feedbackEl.parentNode ? item.feedbackEl : btn;
+        boxAfter.parentNode.insertBefore(box, boxAfter.nextSibling);
+
+        var widget = {
+            key: key,
+            placement: placement,
+            anchors: item.inputEl ? [item.inputEl] : [],
+            hints: item.hints.map(String),
+            cost: typeof item.hintCost === 'number' ? Math.max(0, item.hintCost) : null,
+            used: 0,
+            btn: btn,
+            box: box
+        };
+
+        btn.addEventListener('click', function () {
+            if (widget.used >= widget.hints.length) return;
+            widget.used++;
+            showHint(widget, widget.used);
+            renderHintButton(widget);
+            persistHintUsage(ws);
+            emit('hint', { worksheet_id: ws.meta.worksheet_id || null, key: widget.key, tier: widget.used, total: widget.hints.length });
+            updateAutoScore(ws);
+        });
+
+        renderHintButton(widget);
+        return widget;
+    }
+
+    function wireHints(ws) {
+        if (!hasAnswerItems(ws)) return;
+        var root = getScopeRoot(ws);
+        ws.hintWidgets = ws.hintWidgets.filter(function (widget) { return root.contains(widget.placement); });
+
+        getAnswerItems(ws).forEach(function (item, index) {
+            if (!item || !Array.isArray(item.hints) || !item.hints.length) return;
+            var placement = item.checkBtnEl || item.inputEl;
+            if (!placement || !placement.parentNode) return;
+
+            var widget = findHintWidget(ws, placement);
+            if (!widget) {
+                ws.hintWidgets.push(createHintWidget(ws, item, getQuestionKey(item, index)));
+            } else {
+                if (item.inputEl && widget.anchors.indexOf(item.inputEl) === -1) widget.anchors.push(item.inputEl);
+                if (!widget.used) {
+                    widget.hints = item.hints.map(String);
+                    renderHintButton(widget);
+                }
+            }
+        });
+        restoreHintUsage(ws);
+        refreshHintButtons(ws);
+    }
+
+    // Hints used are kept per question set, so reloading the page does not hand them back for free.
+    function persistHintUsage(ws) {
+        var questionSet = getQuestionSetKey(ws);
+        if (!ws.meta.worksheet_id || !questionSet) return;
+        var used = {};
+        ws.hintWidgets.forEach(function (widget) {
+            if (widget.used) used[widget.key] = widget.used;
+        });
+        saveRecord(ws.meta.worksheet_id, { hintsUsed: { questionSet: questionSet, used: used } });
+    }
+
+    function restoreHintUsage(ws) {
+        var record = ws.meta.worksheet_id ? getRecord(ws.meta.worksheet_id) : null;
+        var saved = record && record.hintsUsed;
+        if (!saved || !saved.used || getQuestionSetKey(ws) !== saved.questionSet) return;
+
+        ws.hintWidgets.forEach(function (widget) {
+            var used = Math.min(widget.hints.length, parseInt(saved.used[widget.key], 10) || 0);
+            if (widget.used || !used) return;
+            widget.used = used;
+            for (var tier = 1; tier <= used; tier++) showHint(widget, tier);
+            renderHintButton(widget);
+        });
+    }
+
+    // Hints stop being offered once a question is locked correct or its check button is gone.
+    function refreshHintButtons(ws) {
+        ws.hintWidgets.forEach(function (widget) {
+            var done = widget.anchors.length
+                ? widget.anchors.every(function (el) { return el.classList.contains('es-correct-locked') || el.classList.contains('es-revealed'); })
+                : widget.placement.style.display === 'none';
+            widget.btn.style.display = done ? 'none' : '';
+        });
+    }
+
+    function resetHints(ws) {
+        ws.hintWidgets.forEach(function (widget) {
+            widget.used = 0;
+            widget.box.innerHTML = '';
+            widget.btn.style.display = '';
+            renderHintButton(widget);
+        });
+        var record = ws.meta.worksheet_id ? getRecord(ws.meta.worksheet_id) : null;
+        if (record && record.hintsUsed) saveRecord(ws.meta.worksheet_id, { hintsUsed: null });
+    }
+
+    function getHintUsage(ws, inputEl) {
+        var widget = inputEl ? findHintWidget(ws, inputEl) : null;
+        return widget && widget.used ? widget : null;
+    }
+
+    // Marks still available for a part worth `marks` once its hints are paid for.
+    function marksAfterHints(widget, marks) {
+        if (!widget) return marks;
+        var perHint = widget.cost !== null
+            ? widget.cost / Math.max(1, widget.anchors.length)
+            : marks / (widget.hints.length + 1);
+        return Math.max(0, marks - widget.used * perHint);
+    }
+
+    function isItemEarned(item) {
+        var inputEl = item.inputEl || null;
+        var locked = !!(inputEl && inputEl.classList.contains('es-correct-locked'));
+        return getResponseCorrectness(item, locked) === true && !(inputEl && inputEl.classList.contains('es-revealed'));
+    }
+
+    // Worksheets that total their own score do not say which items earned which marks, so each
+    // answer item counts as an equal share of maxScore and earned items pay for their hints from it.
+    function getHintDeduction(ws, maxScore) {
+        if (usesAutoScore(ws) || !ws.hintWidgets.length || !hasAnswerItems(ws)) return 0;
+        var items = getAnswerItems(ws).filter(Boolean);
+        var share = maxScore / Math.max(1, items.length);
+        return items.reduce(function (acc, item) {
+            var widget = findHintWidget(ws, item.checkBtnEl || item.inputEl);
+            if (!widget || !widget.used || !isItemEarned(item)) return acc;
+            return acc + share - marksAfterHints(widget, share);
+        }, 0);
+    }
+
+    // --- Worked solutions ---
+    // item.solution is an HTML string or a list of steps (each step may contain HTML). Teacher
+    // reveals show it under the question; after recording, wrong answers offer it on demand.
+
+    function solutionHtml(solution) {
+        if (solution == null || solution === '') return '';
+        if (Array.isArray(solution)) {
+            if (!solution.length) return '';
+            return '<ol class="es-solution-steps">' + solution.map(function (step) {
+                return '<li>' + step + '</li>';
+            }).join('') + '</ol>';
+        }
+        if (typeof solution === 'object' && typeof solution.outerHTML === 'string') return solution.outerHTML;
+        return String(solution);
+    }
+
+    function getSolutionAnchor(item) {
+        return item.feedbackEl || item.checkBtnEl || item.inputEl || null;
+    }
+
+    function createSolutionBox(solution) {
+        var box = document.createElement('div');
+        box.className = 'es-solution';
+        box.style.marginTop = '0.35rem';
+        box.style.padding = '0.4rem 0.6rem';
+        box.style.borderLeft = '3px solid #8a6d1d';
+        box.style.fontSize = '0.9em';
+        box.innerHTML = '<div style="font-weight: 600;">Worked solution</div>' + solutionHtml(solution);
+        return box;
+    }
+
+    function showItemSolution(item) {
+        var anchor = getSolutionAnchor(item);
+        if (!anchor || !anchor.parentNode || !solutionHtml(item.solution) || solutionBoxes.has(anchor)) return;
+        var box = createSolutionBox(item.solution);
+        box.setAttribute('data-snapshot-exclude', '');
+        anchor.parentNode.insertBefore(box, anchor.nextSibling);
+        solutionBoxes.set(anchor, box);
+    }
+
+    function hideItemSolution(item) {
+        var anchor = getSolutionAnchor(item);
+        var box = anchor ? solutionBoxes.get(anchor) : null;
+        if (!box) return;
+        box.remove();
+        solutionBoxes.delete(anchor);
+    }
+
+    function clearSolutions(ws) {
+        if (!hasAnswerItems(ws)) return;
+        getAnswerItems(ws).forEach(function (item) {
+            if (item) hideItemSolution(item);
+        });
+    }
+
+    function createWorkedSolutionsList(ws) {
+        if (!ws.solutionsOffered || !hasAnswerItems(ws)) return null;
+
+        var list = document.createElement('div');
+        list.className = 'es-worked-solutions';
+        list.style.marginTop = '0.35rem';
+        list.style.fontSize = '0.9em';
+        var seen = [];
+
+        getAnswerItems(ws).forEach(function (item, index) {
+            if (!item || !solutionHtml(item.solution)) return;
+            var locked = !!(item.inputEl && item.inputEl.classList.contains('es-correct-locked'));
+            var revealed = !!(item.inputEl && item.inputEl.classList.contains('es-revealed'));
+            if (!revealed && getResponseCorrectness(item, locked) === true) return;
+
+            var anchor = getSolutionAnchor(item);
+            if (anchor && seen.indexOf(anchor) !== -1) return;
+            seen.push(anchor);
+
+            var details = document.createElement('details');
+            var summary = document.createElement('summary');
+            summary.textContent = 'See worked solution — ' + getQuestionLabel(ws, item, index);
+            details.appendChild(summary);
+            details.appendChild(createSolutionBox(item.solution));
+            list.appendChild(details);
+
+            // A question still open for another try is revealed first, so it cannot be answered
+            // from the solution and recorded for full marks.
+            if (!isItemAnswered(item)) {
+                summary.textContent += ' (this question will then score 0)';
+                details.addEventListener('toggle', function () {
+                    if (details.open && !isItemAnswered(item)) revealQuestion(ws, item.checkBtnEl || item.inputEl);
+                });
+            }
+        });
+
+        return list.children.length ? list : null;
+    }
+
+    // --- Per-question reveal ---
+    // In help mode every question gets its own Reveal button. A revealed question shows its answer
+    // and scores nothing, but unlike Reveal Answers the rest of the sheet can still be recorded.
+
+    function revealAnswerItem(item) {
+        if (item.inputEl && !item.inputEl.classList.contains('es-correct-locked')) {
+            if (!revealedStudentValues.has(item.inputEl)) {
+                revealedStudentValues.set(item.inputEl, item.inputEl.value);
+            }
+            item.inputEl.value = item.answer;
+            item.inputEl.disabled = true;
+            item.inputEl.classList.add('es-revealed');
+        }
+        if (item.checkBtnEl && item.checkBtnEl.style.display !== 'none') {
+            item.checkBtnEl.style.visibility = 'hidden';
+        }
+        if (item.feedbackEl && (!item.inputEl || !item.inputEl.classList.contains('es-correct-locked'))) {
+            if (!item.feedbackEl.hasAttribute('data-original')) {
+                item.feedbackEl.setAttribute('data-original', item.feedbackEl.innerHTML);
+                item.feedbackEl.innerHTML = '<span class="es-muted" style="font-style: italic; font-weight: normal;">Revealed answer</span>';
+            }
+        }
+        showItemSolution(item);
+    }
+
+    // Registered questions and data-es-question groups name themselves; anything else uses its key.
+    function getQuestionLabel(ws, item, index) {
+        var placement = item.checkBtnEl || item.inputEl;
+        for (var i = 0; i < ws.questions.length; i++) {
+            var question = ws.questions[i];
+            var questionEl = findQuestionElement(ws, question);
+            if (questionEl && placement && questionEl.contains(placement)) return question.label;
+            var parts = getQuestionParts(ws, question);
+            for (var j = 0; j < parts.length; j++) {
+                if (item.inputEl && resolveMarkedElement(ws, parts[j].input) === item.inputEl) return question.label;
+            }
+        }
+        var groupEl = placement ? placement.closest('[data-es-question]') : null;
+        if (groupEl && groupEl.getAttribute('data-es-question')) return groupEl.getAttribute('data-es-question');
+        return getQuestionKey(item, index);
+    }
+
+    function isItemAnswered(item) {
+        if (item.inputEl) {
+            return item.inputEl.classList.contains('es-correct-locked') || item.inputEl.classList.contains('es-revealed');
+        }
+        return !!item.checkBtnEl && item.checkBtnEl.style.display === 'none';
+    }
+
+    function syncQuestionRevealButtons() {
+        var isTeacher = document.documentElement.classList.contains('esheets-teacher');
+        worksheets.forEach(function (ws) {
+            if (!ws.revealWidgets.length) return;
+            var allItems = getAnswerItems(ws);
+            ws.revealWidgets.forEach(function (widget) {
+                var items = allItems.filter(function (item) {
+                    return item && (item.checkBtnEl || item.inputEl) === widget.placement;
+                });
+                var open = items.some(function (item) { return !isItemAnswered(item); });
+                widget.btn.style.display = isTeacher && open && !isExamRunning(ws) ? '' : 'none';
+                widget.btn.title = usesAutoScore(ws)
+                    ? 'Show this answer. This question will score no marks.'
+                    : 'Show this answer. Record my score is disabled until new questions are generated.';
+            });
+        });
+    }
+
+    function revealQuestion(ws, placement) {
+        if (isExamRunning(ws)) return;
+        var revealed = [];
+        getAnswerItems(ws).forEach(function (item, index) {
+            if (!item || (item.checkBtnEl || item.inputEl) !== placement || isItemAnswered(item)) return;
+            revealAnswerItem(item);
+            revealed.push(item);
+            var label = getQuestionLabel(ws, item, index);
+            if (ws.revealedQuestions.indexOf(label) === -1) ws.revealedQuestions.push(label);
+        });
+        if (!revealed.length) return;
+
+        // Worksheets that total their own score cannot have one question's marks taken off, so
+        // a reveal there locks recording just like Reveal Answers.
+        if (!usesAutoScore(ws) && !ws.lockoutActive) {
+            ws.lockoutActive = true;
+            persistRevealLockout(ws);
+        }
+        persistQuestionReveals(ws);
+        refreshHintButtons(ws);
+        syncQuestionRevealButtons();
+        ws.lockoutUIHandler();
+        if (usesAutoScore(ws)) updateAutoScore(ws);
+        emit('reveal', { worksheet_id: ws.meta.worksheet_id || null, items: revealed, questions: ws.revealedQuestions.slice() });
+    }
+
+    function wireQuestionReveals(ws) {
+        if (!ws.teacherPanelEl || !hasAnswerItems(ws)) return;
+        var root = getScopeRoot(ws);
+        ws.revealWidgets = ws.revealWidgets.filter(function (widget) { return root.contains(widget.placement); });
+
+        getAnswerItems(ws).forEach(function (item) {
+            var placement = item ? item.checkBtnEl || item.inputEl : null;
+            if (!placement || !placement.parentNode || item.answer == null) return;
+            var known = ws.revealWidgets.some(function (widget) { return widget.placement === placement; });
+            if (known) return;
+
+            var btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'es-btn es-btn-small es-btn-secondary es-reveal-one-btn';
+            btn.textContent = 'Reveal';
+            btn.addEventListener('click', function () {
+                revealQuestion(ws, placement);
+            });
+            placement.parentNode.insertBefore(btn, placement.nextSibling);
+            ws.revealWidgets.push({ placement: placement, btn: btn });
+        });
+        syncQuestionRevealButtons();
+    }
+
+    // Re-applies remembered reveals, e.g. after a reload or when New questions repeats the same set.
+    function applyQuestionReveals(ws) {
+        if (!ws.revealedQuestions.length || !hasAnswerItems(ws)) return;
+        getAnswerItems(ws).forEach(function (item, index) {
+            if (!item || isItemAnswered(item)) return;
+            if (ws.revealedQuestions.indexOf(getQuestionLabel(ws, item, index)) !== -1) revealAnswerItem(item);
+        });
+        refreshHintButtons(ws);
+        syncQuestionRevealButtons();
+        ws.lockoutUIHandler();
+    }
+
+    function persistQuestionReveals(ws) {
+        var questionSet = getQuestionSetKey(ws);
+        if (!ws.meta.worksheet_id || !questionSet) return;
+        saveRecord(ws.meta.worksheet_id, {
+            revealedQuestions: { questionSet: questionSet, questions: ws.revealedQuestions.slice() }
+        });
+    }
+
+    function restoreQuestionReveals(ws) {
+        if (!ws.revealedQuestions.length && ws.meta.worksheet_id) {
+            var record = getRecord(ws.meta.worksheet_id);
+            var saved = record && record.revealedQuestions;
+            if (saved && Array.isArray(saved.questions) && getQuestionSetKey(ws) === saved.questionSet) {
+                ws.revealedQuestions = saved.questions.slice();
+            }
+        }
+        applyQuestionReveals(ws);
+    }
+
+    function describeRevealedQuestions(ws) {
+        var labels = ws.revealedQuestions.slice();
+        if (ws.lockoutActive && hasAnswerItems(ws)) {
+            getAnswerItems(ws).forEach(function (item, index) {
+                if (!item || !item.inputEl || !item.inputEl.classList.contains('es-revealed')) return;
+                var label = getQuestionLabel(ws, item, index);
+                if (labels.indexOf(label) === -1) labels.push(label);
+            });
+        }
+        return labels.join(', ');
+    }
 
-            var identity = {
-                first_name: data.first_name || "",
-                last_name: data.last_name || ""
-            };
+    // --- Exam mode ---
+    // init({ mode: 'exam', timeLimit: seconds }) runs a countdown in the score bar. Until the exam
+    // finishes, feedback, correct-answer locks and the score are held back, teacher reveals are off,
+    // and the clock survives a reload. Running out of time finishes and records automatically.
+    // Once finished, answers stay frozen until New questions.
 
-            if (data.student_name) {
-                var parts = data.student_name.trim().split(/\s+/);
-                if (parts.length > 0) {
-                    if (!identity.first_name) identity.first_name = parts[0];
-                    if (!identity.last_name) identity.last_name = parts.slice(1).join(' ');
-                }
-            }
+    function isExamRunning(ws) {
+        return !!(ws && ws.exam && !ws.exam.finished);
+    }
 
-            return identity;
-        } catch (e) {
-            return { first_name: "", last_name: "", class_code: "" };
-        }
+    function formatClock(seconds) {
+        var total = Math.max(0, Math.ceil(seconds));
+        var minutes = Math.floor(total / 60);
+        var rest = total % 60;
+        return minutes + ':' + (rest < 10 ? '0' : '') + rest;
     }
 
-    function setIdentityStorage(data) {
-        try {
-            localStorage.setItem(IDENTITY_KEY, JSON.stringify(data));
-        } catch (e) {
-            console.error('ESHEETS: identity write error', e);
+    function startExam(ws, fresh) {
+        if (ws.exam && ws.exam.interval) clearInterval(ws.exam.interval);
+        ws.exam = null;
+        thawExamAnswers(ws);
+        if (ws.meta.mode !== 'exam') return;
+
+        var timeLimit = Number(ws.meta.timeLimit);
+        if (!(timeLimit > 0)) {
+            console.warn('ESHEETS: exam mode needs a positive timeLimit in seconds');
+            timeLimit = null;
+        }
+
+        var id = ws.meta.worksheet_id;
+        var record = id ? getRecord(id) : null;
+        var attempt = (record && record.attempt) || 1;
+        var saved = !fresh && record && record.exam && record.exam.attempt === attempt ? record.exam : null;
+
+        ws.exam = {
+            timeLimit: timeLimit,
+            startedAt: saved ? Date.parse(saved.startedAt) : Date.now(),
+            finished: !!(saved && saved.finishedAt),
+            expired: !!(saved && saved.expired),
+            timeTaken: saved && typeof saved.timeTaken === 'number' ? saved.timeTaken : null,
+            feedback: new Map(),
+            locks: [],
+            interval: null,
+            // Set once init has wired the worksheet; New questions starts on a wired worksheet.
+            ready: !!fresh,
+            pendingSubmit: !!(saved && saved.submitPending)
+        };
+        if (!saved && id) {
+            saveRecord(id, { exam: { attempt: attempt, startedAt: new Date(ws.exam.startedAt).toISOString() } });
         }
+        if (ws.exam.finished) return;
+
+        ws.exam.interval = setInterval(function () { tickExam(ws); }, 1000);
+        tickExam(ws);
+        syncExamControls(ws);
     }
 
-    function getRecord(id) {
-        if (!id) return null;
-        var data = getStorage();
-        return data[id] || null;
+    function tickExam(ws) {
+        if (!isExamRunning(ws)) return;
+        var elapsed = (Date.now() - ws.exam.startedAt) / 1000;
+        if (ws.exam.timeLimit && elapsed >= ws.exam.timeLimit) {
+            // Time that ran out while the page was closed is only acted on once init has wired
+            // the questions, so they can be marked.
+            if (ws.exam.ready) {
+                finishExam(ws, true);
+            } else {
+                updatePlaceholders(ws, 'Exam time is up');
+            }
+            return;
+        }
+        updatePlaceholders(ws, ws.exam.timeLimit
+            ? 'Exam in progress — time left: ' + formatClock(ws.exam.timeLimit - elapsed)
+            : 'Exam in progress — ' + formatClock(elapsed) + ' elapsed');
     }
 
-    function saveRecord(id, updates) {
-        if (!id) return;
-        var data = getStorage();
-        var record = data[id] || {
-            bestScore: 0,
-            maxScore: 0,
-            bestPercent: 0,
-            lastScore: 0,
-            lastPercent: 0,
-            submittedAt: null
+    // Releases everything held back during the exam. A held lock only applies if the answer is
+    // still the one that was checked.
+    function finishExam(ws, expired) {
+        if (!isExamRunning(ws)) return;
+        var exam = ws.exam;
+        clearInterval(exam.interval);
+        exam.interval = null;
+        exam.finished = true;
+        exam.expired = !!expired;
+
+        var elapsed = Math.round((Date.now() - exam.startedAt) / 1000);
+        exam.timeTaken = exam.timeLimit ? Math.min(elapsed, exam.timeLimit) : elapsed;
+
+        // Declarative questions are simply marked on their final answers, checked or not.
+        var worksheet = ws.instance || window.ESHEETS;
+        var isDeclarative = function (el) {
+            return !!el && ws.declarativeGroups.some(function (group) { return group.el.contains(el); });
         };
-
-        for (var key in updates) {
-            if (Object.prototype.hasOwnProperty.call(updates, key)) {
-                record[key] = updates[key];
+        // An answer changed after it was checked is not locked, so its held "correct" goes too.
+        exam.locks.forEach(function (lock) {
+            if (isDeclarative(lock.inputs[0] || lock.button)) return;
+            var unchanged = lock.inputs.every(function (el, i) { return el.value === lock.values[i]; });
+            if (unchanged) {
+                worksheet.lockCorrectAnswer(lock.inputs, lock.button);
+                return;
             }
+            getLockFeedbackElements(ws, lock).forEach(function (feedbackEl) {
+                if (!exam.feedback.has(feedbackEl)) return;
+                exam.feedback.delete(feedbackEl);
+                renderFeedback(feedbackEl, 'neutral', '');
+            });
+        });
+        exam.feedback.forEach(function (entry, feedbackEl) {
+            if (!isDeclarative(feedbackEl)) renderFeedback(feedbackEl, entry.state, entry.message);
+        });
+        exam.feedback.clear();
+        exam.locks = [];
+        ws.declarativeGroups.forEach(function (group) { checkDeclarativeGroup(ws, group, true); });
+        freezeExamAnswers(ws);
+
+        exam.pendingSubmit = exam.expired;
+        if (ws.meta.worksheet_id) {
+            var record = getRecord(ws.meta.worksheet_id);
+            saveRecord(ws.meta.worksheet_id, {
+                exam: Object.assign({}, record && record.exam, {
+                    finishedAt: new Date().toISOString(),
+                    expired: exam.expired,
+                    timeTaken: exam.timeTaken,
+                    submitPending: exam.pendingSubmit
+                })
+            });
         }
 
-        data[id] = record;
-        setStorage(data);
-        return record;
+        if (usesAutoScore(ws)) {
+            updateAutoScore(ws);
+        } else if (ws.lastScore) {
+            worksheet.setScore(ws.lastScore.score, ws.lastScore.maxScore);
+        } else {
+            updatePlaceholders(ws, 'Exam finished');
+        }
+        syncExamControls(ws);
+        emit('exam:finish', { worksheet_id: ws.meta.worksheet_id || null, expired: exam.expired, time_taken: exam.timeTaken });
+        runPendingExamSubmit(ws);
     }
 
-    function isInScope(el) {
-        return el && el.closest('.esheets-worksheet');
+    // The automatic record after time runs out waits until there is something to record with; a
+    // submission bar mounted later picks it up. submit() clears it.
+    function runPendingExamSubmit(ws) {
+        if (!ws.exam || !ws.exam.pendingSubmit || !ws.exam.ready) return;
+        if (ws.submissionBar) {
+            ws.submissionBar.record();
+        } else if (ws.lastScore) {
+            (ws.instance || window.ESHEETS).submit(ws.lastScore.score, ws.lastScore.maxScore);
+        }
     }
 
-    function updatePlaceholders(text) {
-        var roots = document.querySelectorAll('.esheets-worksheet');
-        if (roots.length === 0) return;
+    // Called from init once the worksheet is wired.
+    function resumeExam(ws) {
+        if (!ws.exam) return;
+        ws.exam.ready = true;
+        if (ws.exam.finished) {
+            freezeExamAnswers(ws);
+            runPendingExamSubmit(ws);
+        } else {
+            tickExam(ws);
+        }
+    }
 
-        var selectors = [
-            '[data-esheets-score="top"]',
-            '[data-esheets-score="bottom"]'
-        ];
+    var EXAM_FREEZE_SKIP = '.esheets-identity-bar, .esheets-teacher-panel, .esheets-submission-bar';
 
-        for (var r = 0; r < roots.length; r++) {
-            var root = roots[r];
-            selectors.forEach(function (sel) {
-                var els = root.querySelectorAll(sel);
-                for (var i = 0; i < els.length; i++) {
-                    if (els[i].textContent !== text) {
-                        els[i].textContent = text;
-                    }
-                    if (!els[i].classList.contains('esheets-scorebar')) {
-                        els[i].classList.add('esheets-scorebar');
-                    }
-                }
+    function freezeExamAnswers(ws) {
+        var root = getScopeRoot(ws);
+        var controls = Array.prototype.slice.call(root.querySelectorAll(MARKED_INPUT_SELECTOR + ', .es-check-btn, .es-hint-btn'));
+        if (hasAnswerItems(ws)) {
+            getAnswerItems(ws).forEach(function (item) {
+                if (item && item.checkBtnEl) controls.push(item.checkBtnEl);
             });
         }
+        controls.forEach(function (el) {
+            if (el.disabled || el.closest(EXAM_FREEZE_SKIP)) return;
+            el.disabled = true;
+            el.classList.add('es-exam-frozen');
+        });
     }
 
-    function formatPct(p) {
-        var rounded = Math.round(p * 10) / 10;
-        return Number.isInteger(rounded) ? rounded : rounded.toFixed(1);
+    function thawExamAnswers(ws) {
+        Array.prototype.slice.call(getScopeRoot(ws).querySelectorAll('.es-exam-frozen')).forEach(function (el) {
+            el.disabled = false;
+            el.classList.remove('es-exam-frozen');
+        });
     }
 
-    function formatScore(s, m, p) {
-        return s + ' / ' + m + ' (' + formatPct(p) + '%)';
+    function syncExamControls(ws) {
+        var running = isExamRunning(ws);
+        var revealBtn = ws.teacherPanelEl ? ws.teacherPanelEl.querySelector('.es-tp-reveal') : null;
+        if (revealBtn) {
+            revealBtn.disabled = running;
+            revealBtn.title = running ? 'Answers cannot be revealed during the exam' : '';
+        }
+        if (ws.submissionBar) ws.submissionBar.updateState(ws.lastScore ? ws.lastScore.score : 0);
+        syncQuestionRevealButtons();
     }
 
-    function getCreatureBadge(percent) {
-        var p = percent;
-        var bands = [
-            { min: 100, msg: "Perfect score — outstanding work!", badges: [{n:'Legendary Lion', e:'🦁'}, {n:'Perfect Panda', e:'🐼'}, {n:'Champion Cheetah', e:'🐆'}] },
-            { min: 90, msg: "Excellent work — that’s a score worth celebrating.", badges: [{n:'Towering Tiger', e:'🐅'}, {n:'Majestic Eagle', e:'🦅'}, {n:'Mighty Mammoth', e:'🦣'}] },
-            { min: 80, msg: "Excellent work — that’s a score worth celebrating.", badges: [{n:'Brilliant Bear', e:'🐻'}, {n:'Powerful Panther', e:'🐆'}, {n:'Excellent Elephant', e:'🐘'}] },
-            { min: 70, msg: "Great effort — keep building your confidence.", badges: [{n:'Clever Crocodile', e:'🐊'}, {n:'Dazzling Dolphin', e:'🐬'}] },
-            { min: 60, msg: "Great effort — keep building your confidence.", badges: [{n:'Practising Parrot', e:'🦜'}, {n:'Steady Squirrel', e:'🐿️'}, {n:'Curious Crab', e:'🦀'}] },
-            { min: 50, msg: "Good practice — correct a few more answers and record again to upgrade your badge.", badges: [{n:'Growing Gecko', e:'🦎'}, {n:'Helpful Hedgehog', e:'🦔'}, {n:'Climbing Koala', e:'🐨'}] },
-            { min: 40, msg: "Good practice — correct a few more answers and record again to upgrade your badge.", badges: [{n:'Busy Beetle', e:'🪲'}, {n:'Determined Duck', e:'🦆'}, {n:'Resilient Rabbit', e:'🐇'}] },
-            { min: 30, msg: "Keep going — every correction helps you improve.", badges: [{n:'Determined Ant', e:'🐜'}, {n:'Tenacious Turtle', e:'🐢'}, {n:'Patient Penguin', e:'🐧'}] },
-            { min: 20, msg: "Keep going — every correction helps you improve.", badges: [{n:'Steady Snail', e:'🐌'}, {n:'Brave Beginner', e:'🐣'}, {n:'Curious Caterpillar', e:'🐛'}] },
-            { min: 0, msg: "Keep going — every correction helps you improve.", badges: [{n:'Brave Beginner', e:'🐣'}, {n:'Determined Ant', e:'🐜'}, {n:'Keep-Going Koala', e:'🐨'}] }
-        ];
-
-        var match = bands[bands.length - 1]; // fallback to lowest
-        for (var i = 0; i < bands.length; i++) {
-            if (p >= bands[i].min) {
-                match = bands[i];
-                break;
-            }
-        }
-        var randomBadge = match.badges[Math.floor(Math.random() * match.badges.length)];
-        return { name: randomBadge.n, emoji: randomBadge.e, msg: match.msg };
+    function deferExamLock(ws, inputs, button) {
+        var key = inputs[0] || button;
+        ws.exam.locks = ws.exam.locks.filter(function (lock) { return (lock.inputs[0] || lock.button) !== key; });
+        ws.exam.locks.push({
+            inputs: inputs,
+            button: button || null,
+            values: inputs.map(function (el) { return el.value; })
+        });
     }
 
-    var TRACKING_CODE_REGEX = /^[A-HJ-NP-Z2-9]{5}$/;
+    function getLockFeedbackElements(ws, lock) {
+        if (!hasAnswerItems(ws)) return [];
+        return getAnswerItems(ws).filter(function (item) {
+            return item && item.feedbackEl &&
+                ((item.inputEl && lock.inputs.indexOf(item.inputEl) !== -1) || (lock.button && item.checkBtnEl === lock.button));
+        }).map(function (item) { return item.feedbackEl; });
+    }
 
-    function normalizeTrackingCode(str) {
-        if (typeof str !== 'string') return "";
-        return str.trim().toUpperCase().replace(/\s+/g, '');
+    function getExamSummary(ws) {
+        if (!ws.exam) return null;
+        return {
+            time_limit: ws.exam.timeLimit,
+            time_taken: ws.exam.finished ? ws.exam.timeTaken : Math.round((Date.now() - ws.exam.startedAt) / 1000),
+            timer_expired: ws.exam.expired
+        };
     }
 
-    function isValidTrackingCode(str) {
-        return TRACKING_CODE_REGEX.test(str);
+    function getDeclarativeItems(ws) {
+        return getDeclarativeInputs(ws).map(function (inputEl) {
+            var group = null;
+            ws.declarativeGroups.some(function (candidate) {
+                if (candidate.el.contains(inputEl)) group = candidate;
+                return !!group;
+            });
+            var item = {
+                inputEl: inputEl,
+                answer: inputEl.getAttribute('data-es-answer'),
+                checkBtnEl: group ? group.checkBtn : null,
+                feedbackEl: group ? group.feedbackEl : null
+            };
+            var hints = parseHintsAttribute(inputEl) || (group ? parseHintsAttribute(group.el) : null);
+            if (hints && hints.length) {
+                item.hints = hints;
+                var cost = parseFloat(inputEl.getAttribute('data-es-hint-cost') || (group ? group.el.getAttribute('data-es-hint-cost') : ''));
+                if (!isNaN(cost)) item.hintCost = cost;
+            }
+            return item;
+        });
     }
 
     function renderTopicGuideJumpLink() {
@@ -283,32 +3409,74 @@
 
     Object.assign(window.ESHEETS, {
 
+        on: function (name, fn) {
+            if (typeof name !== 'string' || typeof fn !== 'function') return function () { };
+            (eventListeners[name] = eventListeners[name] || []).push({ fn: fn, once: false });
+            return function () { ESHEETS.off(name, fn); };
+        },
+
+        once: function (name, fn) {
+            if (typeof name !== 'string' || typeof fn !== 'function') return function () { };
+            (eventListeners[name] = eventListeners[name] || []).push({ fn: fn, once: true });
+            return function () { ESHEETS.off(name, fn); };
+        },
+
+        off: function (name, fn) {
+            if (!eventListeners[name]) return;
+            eventListeners[name] = fn
+                ? eventListeners[name].filter(function (entry) { return entry.fn !== fn; })
+                : [];
+        },
+
         init: function (options) {
-            if (!document.querySelector('.esheets-worksheet')) {
+            var opts = options || {};
+            var root = resolveWorksheetRoot(opts.root) || getWorksheetState(this).root || document.querySelector('.esheets-worksheet');
+            if (!opts.root && !(this && Object.prototype.hasOwnProperty.call(this, '__worksheet')) && defaultWorksheet && defaultWorksheet.isMounted) {
+                // A second init() without a root binds the next worksheet that has none yet.
+                root = findUnboundWorksheetRoot();
+                if (!root) {
+                    console.warn('ESHEETS: init called again without root, but every worksheet on the page is already initialised; pass options.root or call init on the worksheet instance');
+                    return defaultWorksheet.instance;
+                }
+            }
+            if (!root) {
                 return;
             }
 
-            meta = options || {};
-            if (meta.meta) {
-                worksheetMeta = meta.meta;
+            var ws = bindWorksheet(this, root);
+            ws.meta = opts;
+            if (opts.meta) {
+                ws.worksheetMeta = opts.meta;
             }
-            if (!meta.worksheet_id) {
+            if (!opts.worksheet_id) {
                 console.warn('ESHEETS: init called without worksheet_id');
             }
-            isMounted = true;
-
-            this._initLoadingState();
+            ws.isMounted = true;
+            if (opts.portal || ws === defaultWorksheet) configurePortal(opts.portal);
+            initSeed(ws);
+            startExam(ws, false);
+
+            ws.instance._initLoadingState();
+            wireDeclarativeAnswers(ws);
+            emit('init', { worksheet_id: opts.worksheet_id || null, meta: ws.worksheetMeta, seed: ws.currentSeed, worksheet: ws.instance });
+            setTimeout(function () {
+                wireDeclarativeAnswers(ws);
+                restoreRevealLockout(ws);
+                resumeExam(ws);
+                flushOutbox(true);
+            }, 0);
+            return ws.instance;
         },
 
         _initLoadingState: function () {
             var self = this;
-            var root = document.querySelector('.esheets-worksheet');
+            var root = getWorksheetState(this).root || document.querySelector('.esheets-worksheet');
             if (!root) return;
 
-            if (document.getElementById('es-loading-state')) return;
+            if (root.querySelector('.es-loading-state')) return;
 
             var loadingContainer = document.createElement('div');
-            loadingContainer.id = 'es-loading-state';
+            if (!document.getElementById('es-loading-state')) loadingContainer.id = 'es-loading-state';
             loadingContainer.className = 'es-loading-state';
 
             var msg = document.createElement('div');
@@ -409,6 +3577,17 @@
             }
         },
 
+        useSubmissionStep: function (fn, options) {
+            if (typeof fn !== 'function') return function () { };
+
+            var stage = (options && options.stage) || 'payload';
+            if (SUBMISSION_STAGES.indexOf(stage) === -1) {
+                console.warn('ESHEETS: unknown submission stage "' + stage + '"; using "payload"');
+                stage = 'payload';
+            }
+            return addSubmissionStep(fn, stage);
+        },
+
         getIdentity: function () {
             return getIdentityStorage();
         },
@@ -430,6 +3609,8 @@
 
             if (changed) {
                 setIdentityStorage(current);
+                refreshIdentityBars();
+                emit('identity:change', { identity: current, updates: updates });
             }
             return current;
         },
@@ -437,17 +3618,26 @@
         setFeedback: function (feedbackEl, state, message) {
             if (!feedbackEl) return;
 
-            if (!feedbackEl.classList.contains('es-feedback')) {
-                feedbackEl.classList.add('es-feedback');
+            var owner = worksheetForElement(feedbackEl);
+            if (isExamRunning(owner) && (state === 'correct' || state === 'incorrect')) {
+                owner.exam.feedback.set(feedbackEl, { state: state, message: message || "" });
+                renderFeedback(feedbackEl, 'neutral', 'Answer saved. Feedback is shown when the exam ends.');
+            } else {
+                renderFeedback(feedbackEl, state, message);
             }
 
-            feedbackEl.classList.remove('es-feedback--correct', 'es-feedback--incorrect', 'es-feedback--neutral');
-
-            if (state === 'correct' || state === 'incorrect' || state === 'neutral') {
-                feedbackEl.classList.add('es-feedback--' + state);
+            if (state === 'correct' || state === 'incorrect') {
+                checkAttempts.set(feedbackEl, (checkAttempts.get(feedbackEl) || 0) + 1);
             }
 
-            feedbackEl.textContent = message || "";
+            if (state === 'correct' || state === 'incorrect') {
+                emit('answer:checked', {
+                    feedbackEl: feedbackEl,
+                    correct: state === 'correct',
+                    message: message || "",
+                    attempts: checkAttempts.get(feedbackEl)
+                });
+            }
         },
 
         clearFeedback: function (feedbackEl) {
@@ -455,44 +3645,95 @@
         },
 
         setScore: function (score, maxScore) {
-            if (!isMounted) return;
+            var ws = getWorksheetState(this);
+            if (!ws.isMounted) return;
             if (typeof score !== 'number' || typeof maxScore !== 'number' || isNaN(score) || isNaN(maxScore)) return;
 
             var s = Math.max(0, score);
             var m = Math.max(1, maxScore);
             var pct = (m > 0) ? (s / m) * 100 : 0;
-
-            // Updated label per v5.1 requirements
-            var text = 'Current score: ' + s + ' / ' + m + ' (' + formatPct(pct) + '%)';
-            updatePlaceholders(text);
-
-            if (s === 0) {
-                document.documentElement.classList.add('es-score-zero');
-            } else {
-                document.documentElement.classList.remove('es-score-zero');
+            ws.lastScore = { score: s, maxScore: m };
+
+            // The exam clock holds the score bar until the exam finishes.
+            if (!isExamRunning(ws)) {
+                // Updated label per v5.1 requirements
+                var text = 'Current score: ' + s + ' / ' + m + ' (' + formatPct(pct) + '%)';
+                updatePlaceholders(ws, text);
+
+                if (ws.root) ws.root.classList.toggle('es-score-zero', s === 0);
+                if (ws === defaultWorksheet) {
+                    if (s === 0) {
+                        document.documentElement.classList.add('es-score-zero');
+                    } else {
+                        document.documentElement.classList.remove('es-score-zero');
+                    }
+                }
             }
+
+            emit('score', { worksheet_id: ws.meta.worksheet_id || null, score: s, maxScore: m, percent: pct });
         },
 
-        submit: function (score, maxScore) {
-            if (!isMounted || !meta.worksheet_id) return;
+        submit: function (score, maxScore, options) {
+            var ws = getWorksheetState(this);
+            var meta = ws.meta;
+            if (!ws.isMounted || !meta.worksheet_id) return;
             if (typeof score !== 'number' || typeof maxScore !== 'number') return;
-            
-            hideBadgeUntilNextSubmit = false;
 
-            var s = Math.max(0, score);
+            if (isExamRunning(ws)) finishExam(ws, false);
+
             var m = Math.max(1, maxScore);
+            var hintDeduction = getHintDeduction(ws, m);
+            var s = Math.max(0, hintDeduction ? roundMarks(score - hintDeduction) : score);
             var pct = (m > 0) ? (s / m) * 100 : 0;
             var now = new Date().toISOString();
 
             var record = getRecord(meta.worksheet_id) || { bestPercent: 0, bestScore: 0 };
+            var attempt = record.attempt || 1;
+            var fingerprint = getAnswerStateFingerprint(ws, s, m);
+
+            // Refuse to send the same score and answers twice in one attempt unless confirmed.
+            if (launchTracking.active && record.lastSubmissionFingerprint === fingerprint &&
+                !(options && options.allowDuplicate)) {
+                return Promise.resolve({ success: false, duplicate: true });
+            }
+
+            ws.hideBadgeUntilNextSubmit = false;
+            ws.solutionsOffered = true;
+
+            // The sequence only advances once a submission is sent or queued, so retrying after a
+            // failed send reuses the same id and the portal can deduplicate it.
+            var sequence = (record.attemptSubmissions || 0) + 1;
+            var submissionId = buildSubmissionId(meta.worksheet_id, attempt, sequence);
+            var badge = getCreatureBadge(pct);
+            var questionMarks = ws.questions.length ? computeMarks(ws).questions : null;
+            var historyCount = (record.historyCount || 0) + 1;
+
+            var history = (record.history || []).concat([{
+                n: historyCount,
+                date: now,
+                score: s,
+                maxScore: m,
+                percent: pct,
+                badge: badge.name,
+                seed: ws.currentSeed,
+                revealed: ws.lockoutActive
+            }]).slice(-PROGRESS_HISTORY_MAX);
 
             var updates = {
                 lastScore: s,
                 lastPercent: pct,
-                lastBadge: getCreatureBadge(pct),
+                lastBadge: badge,
                 submittedAt: now,
-                maxScore: m
+                maxScore: m,
+                attempt: attempt,
+                history: history,
+                historyCount: historyCount,
+                lastQuestionMarks: questionMarks
             };
+            if (ws.exam && ws.exam.pendingSubmit) {
+                ws.exam.pendingSubmit = false;
+                updates.exam = Object.assign({}, record.exam, { submitPending: false });
+            }
 
             var currentBestPercent = record.bestPercent || 0;
             var currentBestScore = record.bestScore || 0;
@@ -500,68 +3741,101 @@
             if (pct > currentBestPercent || (Math.abs(pct - currentBestPercent) < 0.001 && s > currentBestScore)) {
                 updates.bestPercent = pct;
                 updates.bestScore = s;
+                updates.bestAttemptNumber = historyCount;
+            } else if (!record.bestAttemptNumber && Math.abs(pct - currentBestPercent) < 0.001 && s === currentBestScore) {
+                updates.bestAttemptNumber = historyCount;
             }
 
             saveRecord(meta.worksheet_id, updates);
 
-            var payloadIdentity = getIdentityStorage();
-            if (launchTracking.active) {
-                payloadIdentity.class_code = launchTracking.class_code;
-                payloadIdentity.task_code = launchTracking.task_code;
-            }
-
             var payload = {
                 worksheet_id: meta.worksheet_id,
+                submission_id: submissionId,
+                attempt: attempt,
                 score: s,
                 maxScore: m,
                 percent: pct,
                 submittedAt: now,
-                first_name: payloadIdentity.first_name || "",
-                last_name: payloadIdentity.last_name || "",
-                browser_code: launchTracking.active ? getBrowserDeviceCode() : "",
-                class_code: payloadIdentity.class_code || "",
-                task_code: payloadIdentity.task_code || "",
                 bestScore: updates.bestScore !== undefined ? updates.bestScore : currentBestScore,
-                bestPercent: updates.bestPercent !== undefined ? updates.bestPercent : currentBestPercent
+                bestPercent: updates.bestPercent !== undefined ? updates.bestPercent : currentBestPercent,
+                revealed_before_submit: ws.lockoutActive,
+                revealed_questions: ws.revealedQuestions.slice(),
+                seed: ws.currentSeed,
+                hints_used: ws.hintWidgets.reduce(function (acc, widget) { return acc + widget.used; }, 0)
             };
+            if (questionMarks) payload.question_marks = questionMarks;
+            if (ws.exam) {
+                payload.mode = 'exam';
+                Object.assign(payload, getExamSummary(ws));
+            }
 
-            if (typeof trackingAdapter === 'function') {
-                try {
-                    trackingAdapter(payload);
-                } catch (e) {
-                    console.warn('ESHEETS: tracking adapter error', e);
+            var context = {
+                worksheet_id: meta.worksheet_id,
+                root: ws.root,
+                getAnswerItems: hasAnswerItems(ws) ? function () { return getAnswerItems(ws); } : null,
+                getQuestionElement: function (id) {
+                    var question = ws.questions.filter(function (q) { return q.id === id; })[0];
+                    return question ? findQuestionElement(ws, question) : null;
+                },
+                worksheet: ws,
+                tracked: launchTracking.active,
+                portal_url: portalConfig.url,
+                result: null,
+                // Steps report slow work here; the submission bar shows it on the Record button.
+                progress: function (label) {
+                    emit('submit:progress', { worksheet_id: meta.worksheet_id, label: label });
+                    if (ws.submissionBar) ws.submissionBar.setProgress(label);
                 }
-            }
+            };
 
-            if (launchTracking.active) {
-                return fetch('https://portal.esheets.io/api/submissions', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(payload)
-                }).then(function (res) {
-                    if (!res.ok) throw new Error('Central submission failed');
-                    return { success: true };
-                }).catch(function (err) {
-                    console.warn('ESHEETS: central submission error', err);
-                    return { success: false };
-                });
+            function rememberRecordedState(result) {
+                var latest = getRecord(context.worksheet_id) || {};
+                if ((result.success || result.queued) && (latest.attempt || 1) === attempt) {
+                    saveRecord(context.worksheet_id, {
+                        lastSubmissionFingerprint: fingerprint,
+                        attemptSubmissions: Math.max(latest.attemptSubmissions || 0, sequence)
+                    });
+                }
+                return result;
             }
 
-            return Promise.resolve({ success: true, localOnly: true });
+            emit('submit:start', { payload: payload });
+
+            return runSubmissionPipeline(payload, context).then(function (finalPayload) {
+                var result = context.result || { success: true, localOnly: !context.tracked };
+                emit('submit:success', { payload: finalPayload, result: result });
+                return result;
+            }).catch(function (err) {
+                console.warn('ESHEETS: central submission error', err);
+                var result = { success: false, queued: !!(err && err.queued) };
+                emit('submit:failure', { payload: payload, result: result, error: err });
+                return result;
+            }).then(rememberRecordedState);
         },
 
         renderSubmissionSummary: function (container) {
+            var ws = getWorksheetState(this);
+            var meta = ws.meta;
             if (!container || !meta.worksheet_id) return;
+            if (ws.summaryContainers.indexOf(container) === -1) ws.summaryContainers.push(container);
 
             container.innerHTML = '';
             container.classList.add('esheets-summary');
 
             var record = getRecord(meta.worksheet_id);
 
+            var self = this;
+            var transfer = createProgressTransfer(function (notice) {
+                ws.transferNotice = notice;
+                self.renderSubmissionSummary(container);
+            }, ws.transferNotice);
+            ws.transferNotice = null;
+
             if (!record || !record.submittedAt) {
                 var p = document.createElement('div');
                 p.textContent = "No previous submissions.";
                 container.appendChild(p);
+                container.appendChild(transfer);
                 return;
             }
 
@@ -572,13 +3846,30 @@
             var pLast = document.createElement('div');
             pLast.textContent = lastText;
 
+            if (record.bestAttemptNumber && record.historyCount) {
+                bestText += " — attempt " + record.bestAttemptNumber + " of " + record.historyCount;
+            }
+
             var pBest = document.createElement('div');
             pBest.textContent = bestText;
 
+            var sparkline = createHistorySparkline(record.history || []);
+            if (sparkline) {
+                pBest.appendChild(document.createTextNode(' '));
+                pBest.appendChild(sparkline);
+            }
+
             container.appendChild(pLast);
             container.appendChild(pBest);
 
-            if (record.lastBadge && !hideBadgeUntilNextSubmit) {
+            if (record.lastQuestionMarks && record.lastQuestionMarks.length) {
+                container.appendChild(createQuestionMarksList(record.lastQuestionMarks));
+            }
+
+            var solutions = createWorkedSolutionsList(ws);
+            if (solutions) container.appendChild(solutions);
+
+            if (record.lastBadge && !ws.hideBadgeUntilNextSubmit) {
                 var badgeData = record.lastBadge;
                 var badgeWrap = document.createElement('div');
                 badgeWrap.className = 'es-badge-card';
@@ -671,12 +3962,23 @@
                 
                 container.appendChild(badgeWrap);
             }
+
+            container.appendChild(transfer);
         },
 
         lockCorrectAnswer: function (inputs, button) {
             if (inputs) {
                 var inputList = Array.isArray(inputs) ? inputs :
                     (typeof NodeList !== 'undefined' && inputs instanceof NodeList ? Array.prototype.slice.call(inputs) : [inputs]);
+            }
+
+            var examOwner = worksheetForElement((inputList && inputList[0]) || button);
+            if (isExamRunning(examOwner)) {
+                deferExamLock(examOwner, (inputList || []).filter(Boolean), button);
+                return;
+            }
+
+            if (inputList) {
                 for (var i = 0; i < inputList.length; i++) {
                     var el = inputList[i];
                     if (el) {
@@ -691,11 +3993,21 @@
                 // Ensure logic loops are terminated by wiping the button
                 button.style.display = 'none';
             }
+
+            emit('answer:locked', { inputs: inputList || [], button: button || null });
+
+            var owner = worksheetForElement((inputList && inputList[0]) || button);
+            if (owner) {
+                refreshHintButtons(owner);
+                if (owner.questions.length) updateAutoScore(owner);
+            }
         },
 
         focusNextUnanswered: function (currentInput) {
             if (!currentInput) return false;
-            var inputs = document.querySelectorAll('.esheets-worksheet input[type="text"]:not(:disabled):not([readonly]), .esheets-worksheet input[type="number"]:not(:disabled):not([readonly])');
+            var root = currentInput.closest('.esheets-worksheet');
+            if (!root) return false;
+            var inputs = root.querySelectorAll('input[type="text"]:not(:disabled):not([readonly]), input[type="number"]:not(:disabled):not([readonly])');
             var foundCurrent = false;
             for (var i = 0; i < inputs.length; i++) {
                 if (foundCurrent && inputs[i] !== currentInput && inputs[i].offsetParent !== null) {
@@ -712,15 +4024,16 @@
         mountSubmissionBar: function (config) {
             if (!config || !config.containerEl) return;
 
+            var ws = getWorksheetState(this);
+            var worksheet = ws.instance || ESHEETS;
             var container = config.containerEl;
 
-            var topScoreEl = document.querySelector('[data-esheets-score="top"]');
+            var topScoreEl = getScopeRoot(ws).querySelector('[data-esheets-score="top"]');
             var topLockout = null;
             if (topScoreEl && topScoreEl.parentNode) {
                 topLockout = document.createElement('div');
                 topLockout.className = 'es-lockout-message';
                 topLockout.style.display = 'none';
-                topLockout.textContent = 'Answers were revealed. Record my score is disabled until new questions are generated.';
                 if (topScoreEl.nextSibling) {
                     topScoreEl.parentNode.insertBefore(topLockout, topScoreEl.nextSibling);
                 } else {
@@ -731,7 +4044,6 @@
             var bottomLockout = document.createElement('div');
             bottomLockout.className = 'es-lockout-message';
             bottomLockout.style.display = 'none';
-            bottomLockout.textContent = 'Answers were revealed. Record my score is disabled until new questions are generated.';
 
             if (container.parentNode) {
                 container.parentNode.insertBefore(bottomLockout, container);
@@ -755,6 +4067,7 @@
             wrap.appendChild(btnRecord);
             wrap.appendChild(btnReset);
             container.appendChild(wrap);
+            mountOutboxStatus(wrap);
 
             var confirmDiv = document.createElement('div');
             confirmDiv.className = 'esheets-confirm-ui';
@@ -769,13 +4082,28 @@
 
             container.appendChild(confirmDiv);
 
+            var duplicateDiv = document.createElement('div');
+            duplicateDiv.className = 'esheets-confirm-ui es-duplicate-confirm';
+            duplicateDiv.style.display = 'none';
+
+            duplicateDiv.innerHTML =
+                '<p>You have already recorded this exact score and these answers. Send them to your teacher again?</p>' +
+                '<div class="esheets-btn-group">' +
+                '<button class="esheets-btn esheets-btn-secondary" data-action="cancel">No, keep my earlier record</button>' +
+                '<button class="esheets-btn esheets-btn-primary" data-action="confirm">Yes, record again</button>' +
+                '</div>';
+
+            container.appendChild(duplicateDiv);
+
             var summaryDiv = document.createElement('div');
             container.appendChild(summaryDiv);
 
-            ESHEETS.renderSubmissionSummary(summaryDiv);
+            worksheet.renderSubmissionSummary(summaryDiv);
 
-            btnRecord.addEventListener('click', function () {
-                var data = config.getScore ? config.getScore() : { score: 0, maxScore: 0 };
+            function recordScore(allowDuplicate) {
+                if (isExamRunning(ws)) finishExam(ws, false);
+                var data = config.getScore ? config.getScore()
+                    : (usesAutoScore(ws) ? computeMarks(ws) : { score: 0, maxScore: 0 });
 
                 btnRecord.disabled = true;
                 btnRecord.textContent = "Recording...";
@@ -783,12 +4111,20 @@
                 var existingErr = container.querySelector('.es-submit-error');
                 if (existingErr) existingErr.remove();
 
-                var submitResult = ESHEETS.submit(data.score, data.maxScore);
-                ESHEETS.renderSubmissionSummary(summaryDiv);
+                var submitResult = worksheet.submit(data.score, data.maxScore, { allowDuplicate: allowDuplicate });
+                worksheet.renderSubmissionSummary(summaryDiv);
 
                 if (submitResult && typeof submitResult.then === 'function') {
                     submitResult.then(function (res) {
-                        if (res && res.success === false) {
+                        if (res && res.duplicate) {
+                            btnRecord.textContent = "Record my score";
+                            btnRecord.disabled = false;
+                            duplicateDiv.style.display = 'block';
+                            wrap.style.display = 'none';
+                        } else if (res && res.queued) {
+                            // The outbox will retry in the background; its status line shows progress.
+                            btnRecord.textContent = "Recorded!";
+                        } else if (res && res.success === false) {
                             btnRecord.textContent = "Record my score";
                             btnRecord.disabled = false;
 
@@ -812,6 +4148,17 @@
                 } else {
                     btnRecord.textContent = "Recorded!";
                 }
+            }
+
+            btnRecord.addEventListener('click', function () {
+                recordScore(false);
+            });
+
+            duplicateDiv.addEventListener('click', function (e) {
+                if (e.target.tagName !== 'BUTTON') return;
+                duplicateDiv.style.display = 'none';
+                wrap.style.display = 'flex';
+                if (e.target.getAttribute('data-action') === 'confirm') recordScore(true);
             });
 
             btnReset.addEventListener('click', function () {
@@ -824,11 +4171,27 @@
                 var action = e.target.getAttribute('data-action');
 
                 if (action === 'confirm') {
-                    lockoutActive = false;
-                    lockoutUIHandler();
-                    hideBadgeUntilNextSubmit = true;
+                    var previousSet = getQuestionSetKey(ws);
+                    ws.hideBadgeUntilNextSubmit = true;
+                    startNewAttempt(ws);
+                    startExam(ws, true);
+                    resetCheckAttempts(ws);
+                    resetHints(ws);
+                    clearSolutions(ws);
+                    ws.solutionsOffered = false;
+                    resetDeclarativeAnswers(ws);
                     if (config.onNewQuestions) config.onNewQuestions();
-                    ESHEETS.renderSubmissionSummary(summaryDiv);
+                    wireDeclarativeAnswers(ws);
+
+                    // Only a genuinely different question set lifts a reveal lockout.
+                    var nextSet = getQuestionSetKey(ws);
+                    if (!previousSet || !nextSet || nextSet !== previousSet) {
+                        clearRevealLockout(ws);
+                    } else {
+                        applyQuestionReveals(ws);
+                    }
+                    emit('newQuestions', { worksheet_id: ws.meta.worksheet_id || null, seed: ws.currentSeed });
+                    worksheet.renderSubmissionSummary(summaryDiv);
                     confirmDiv.style.display = 'none';
                     wrap.style.display = 'flex';
                     btnRecord.textContent = "Record my score";
@@ -838,25 +4201,45 @@
                 }
             });
 
-            lockoutUIHandler = function () {
-                if (lockoutActive) {
-                    if (topLockout) topLockout.style.display = 'block';
-                    bottomLockout.style.display = 'block';
-                    btnRecord.disabled = true;
-                } else {
-                    if (topLockout) topLockout.style.display = 'none';
-                    bottomLockout.style.display = 'none';
-                }
+            ws.lockoutUIHandler = function () {
+                var revealedList = describeRevealedQuestions(ws);
+                var messages = topLockout ? [topLockout, bottomLockout] : [bottomLockout];
+                messages.forEach(function (message) {
+                    message.toggleAttribute('data-es-partial', !ws.lockoutActive);
+                    if (ws.lockoutActive) {
+                        message.textContent = 'Answers were revealed' + (revealedList ? ' (' + revealedList + ')' : '') +
+                            '. Record my score is disabled until new questions are generated.';
+                    } else {
+                        message.textContent = 'Answers revealed for ' + revealedList +
+                            '. Those questions score no marks; you can still record the rest.';
+                    }
+                    message.style.display = ws.lockoutActive || revealedList ? 'block' : 'none';
+                });
+                if (ws.lockoutActive) btnRecord.disabled = true;
             };
-            lockoutUIHandler();
+            ws.lockoutUIHandler();
+            restoreRevealLockout(ws);
 
             renderTopicGuideJumpLink();
             renderTeacherSignupCta();
 
-            return {
+            ws.submissionBar = {
                 recordBtn: btnRecord,
+                record: function () {
+                    recordScore(false);
+                },
+                setProgress: function (label) {
+                    if (btnRecord.textContent.indexOf('Recording') === 0) btnRecord.textContent = label;
+                },
                 updateState: function (score) {
-                    if (lockoutActive) {
+                    btnReset.disabled = isExamRunning(ws);
+                    if (isExamRunning(ws)) {
+                        btnRecord.disabled = false;
+                        btnRecord.textContent = "Finish exam";
+                        return;
+                    }
+                    if (btnRecord.textContent === "Finish exam") btnRecord.textContent = "Record my score";
+                    if (ws.lockoutActive) {
                         btnRecord.disabled = true;
                         return;
                     }
@@ -868,6 +4251,14 @@
                     }
                 }
             };
+            if (usesAutoScore(ws)) {
+                setTimeout(function () { updateAutoScore(ws); }, 0);
+            }
+            if (ws.exam) {
+                syncExamControls(ws);
+                runPendingExamSubmit(ws);
+            }
+            return ws.submissionBar;
         },
 
         mountIdentityBar: function (config) {
@@ -973,6 +4364,7 @@
             var showLast = (!config.fields || config.fields.last_name !== false);
 
             var printHeaderFields = {};
+            var inputs = {};
 
             function createField(label, key, value) {
                 var wrap = document.createElement('div');
@@ -986,6 +4378,7 @@
                 inp.className = 'es-input';
                 inp.value = value || '';
                 inp.placeholder = '...';
+                inputs[key] = inp;
 
                 inp.addEventListener('change', function () {
                     var u = {};
@@ -1047,13 +4440,19 @@
             printHeader.appendChild(printHeaderLastWrap);
 
             container.appendChild(printHeader);
+
+            identityBars.push({ inputs: inputs, printHeaderFields: printHeaderFields, showIdentity: isTrackingActive });
         },
 
         mountTeacherPanel: function (config) {
             if (!config || !config.containerEl) return;
 
+            var ws = getWorksheetState(this);
             var panelEl = config.containerEl;
             panelEl.classList.add('esheets-teacher-panel');
+            ws.teacherPanelEl = panelEl;
+            ws.answerItemsProvider = typeof config.getAnswerItems === 'function' ? config.getAnswerItems : null;
+            if (teacherPanels.indexOf(panelEl) === -1) teacherPanels.push(panelEl);
 
             var isRevealed = false;
             var originalValues = new Map();
@@ -1076,20 +4475,20 @@
                 });
             }
 
-            function setTeacherMode(isTeacher) {
-                document.documentElement.classList.toggle('esheets-teacher', isTeacher);
-                panelEl.style.display = isTeacher ? 'flex' : 'none';
+            if (unlocked) {
+                setTeacherMode(true);
+            } else {
+                panelEl.style.display = document.documentElement.classList.contains('esheets-teacher') ? 'flex' : 'none';
             }
 
-            setTeacherMode(unlocked);
-
             var panelHTML =
                 '<div class="es-tp-header">Help Mode</div>' +
                 '<div class="es-tp-actions">' +
-                '<button class="es-btn es-btn-small es-btn-secondary" id="es-tp-reveal">Reveal Answers</button>' +
-                '<button class="es-btn es-btn-small es-btn-secondary" id="es-tp-print">Print Worksheet</button>' +
-                '<button class="es-btn es-btn-small es-btn-secondary" id="es-tp-copy" title="Copy current page address">Copy Address</button>' +
-                '<button class="es-btn-outline es-tp-close" id="es-tp-close" title="Hide Panel (Ctrl+Alt+H)" style="margin-left: 0.5rem;">&#10006;</button>' +
+                '<button class="es-btn es-btn-small es-btn-secondary es-tp-reveal">Reveal Answers</button>' +
+                '<button class="es-btn es-btn-small es-btn-secondary es-tp-print">Print Worksheet</button>' +
+                '<button class="es-btn es-btn-small es-btn-secondary es-tp-copy" title="Copy current page address">Copy Address</button>' +
+                '<button class="es-btn es-btn-small es-btn-secondary es-tp-share" title="Copy a link that opens this exact question set">Share This Set</button>' +
+                '<button class="es-btn-outline es-tp-close" title="Hide Panel (Ctrl+Alt+H)" style="margin-left: 0.5rem;">&#10006;</button>' +
                 '</div>';
 
             if (launchTracking.active) {
@@ -1098,15 +4497,16 @@
 
             panelEl.innerHTML = panelHTML;
 
-            var revealBtn = panelEl.querySelector('#es-tp-reveal');
-            var printBtn = panelEl.querySelector('#es-tp-print');
-            var copyBtn = panelEl.querySelector('#es-tp-copy');
-            var closeBtn = panelEl.querySelector('#es-tp-close');
+            var revealBtn = panelEl.querySelector('.es-tp-reveal');
+            var printBtn = panelEl.querySelector('.es-tp-print');
+            var copyBtn = panelEl.querySelector('.es-tp-copy');
+            var shareBtn = panelEl.querySelector('.es-tp-share');
+            var closeBtn = panelEl.querySelector('.es-tp-close');
 
             if (revealBtn) {
                 revealBtn.addEventListener('click', function () {
-                    if (typeof config.getAnswerItems !== 'function') return;
-                    var items = config.getAnswerItems();
+                    if (!hasAnswerItems(ws) || isExamRunning(ws)) return;
+                    var items = getAnswerItems(ws);
 
                     if (!isRevealed) {
                         items.forEach(function (item) {
@@ -1119,35 +4519,27 @@
                                         isCorrectLocked: item.inputEl.classList.contains('es-correct-locked')
                                     });
                                 }
-
-                                if (!item.inputEl.classList.contains('es-correct-locked')) {
-                                    item.inputEl.value = item.answer;
-                                    item.inputEl.disabled = true;
-                                    item.inputEl.classList.add('es-revealed');
-                                }
-                            }
-                            if (item.checkBtnEl && item.checkBtnEl.style.display !== 'none') {
-                                item.checkBtnEl.style.visibility = 'hidden';
-                            }
-                            if (item.feedbackEl && (!item.inputEl || !item.inputEl.classList.contains('es-correct-locked'))) {
-                                if (!item.feedbackEl.hasAttribute('data-original')) {
-                                    item.feedbackEl.setAttribute('data-original', item.feedbackEl.innerHTML);
-                                    item.feedbackEl.innerHTML = '<span class="es-muted" style="font-style: italic; font-weight: normal;">Revealed answer</span>';
-                                }
                             }
+                            revealAnswerItem(item);
                         });
                         revealBtn.textContent = "Hide Answers";
                         isRevealed = true;
-                        lockoutActive = true;
-                        lockoutUIHandler();
+                        ws.lockoutActive = true;
+                        persistRevealLockout(ws);
+                        if (ws.lockoutUIHandler) ws.lockoutUIHandler();
+                        syncQuestionRevealButtons();
+                        emit('reveal', { worksheet_id: ws.meta.worksheet_id || null, items: items });
                     } else {
-                        items.forEach(function (item) {
+                        items.forEach(function (item, index) {
+                            // Questions revealed one at a time stay revealed.
+                            if (ws.revealedQuestions.indexOf(getQuestionLabel(ws, item, index)) !== -1) return;
                             if (item.inputEl && originalValues.has(item.inputEl)) {
                                 var orig = originalValues.get(item.inputEl);
                                 if (!orig.isCorrectLocked) {
                                     item.inputEl.value = orig.value;
                                     item.inputEl.disabled = orig.disabled;
                                 }
+                                revealedStudentValues.delete(item.inputEl);
                                 if (!orig.wasRevealed) item.inputEl.classList.remove('es-revealed');
                             }
                             if (item.checkBtnEl && item.checkBtnEl.style.display !== 'none') {
@@ -1157,9 +4549,12 @@
                                 item.feedbackEl.innerHTML = item.feedbackEl.getAttribute('data-original');
                                 item.feedbackEl.removeAttribute('data-original');
                             }
+                            hideItemSolution(item);
                         });
                         revealBtn.textContent = "Reveal Answers";
                         isRevealed = false;
+                        syncQuestionRevealButtons();
+                        emit('hide', { worksheet_id: ws.meta.worksheet_id || null, items: items });
                     }
                 });
             }
@@ -1172,54 +4567,122 @@
 
             if (copyBtn) {
                 copyBtn.addEventListener('click', function () {
-                    var originalText = copyBtn.textContent;
-                    var restore = function() { setTimeout(function() { copyBtn.textContent = originalText; }, 2000); };
-                    
-                    if (navigator.clipboard) {
-                        navigator.clipboard.writeText(window.location.href).then(function() {
-                            copyBtn.textContent = "Copied!";
-                            restore();
-                        }).catch(function() {
-                            copyBtn.textContent = "Failed!";
-                            restore();
-                        });
-                    } else {
-                        var temp = document.createElement("input");
-                        temp.value = window.location.href;
-                        document.body.appendChild(temp);
-                        temp.select();
-                        try {
-                            document.execCommand("copy");
-                            copyBtn.textContent = "Copied!";
-                        } catch(e) {
-                            copyBtn.textContent = "Failed!";
-                        }
-                        document.body.removeChild(temp);
-                        restore();
+                    copyTextWithFeedback(copyBtn, window.location.href);
+                });
+            }
+
+            if (shareBtn) {
+                shareBtn.addEventListener('click', function () {
+                    copyTextWithFeedback(shareBtn, buildSeedShareUrl(ws));
+                });
+            }
+
+            if (closeBtn) {
+                closeBtn.addEventListener('click', function () {
+                    setTeacherMode(false);
+                });
+            }
+
+            if (!teacherShortcutBound) {
+                teacherShortcutBound = true;
+                document.addEventListener('keydown', function (e) {
+                    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) return;
+
+                    if (e.ctrlKey && e.altKey && (e.key === 'h' || e.key === 'H')) {
+                        e.preventDefault();
+                        var currentlyTeacher = document.documentElement.classList.contains('esheets-teacher');
+                        setTeacherMode(!currentlyTeacher);
                     }
                 });
             }
 
-            if (closeBtn) {
-                closeBtn.addEventListener('click', function () {
-                    setTeacherMode(false);
-                });
+            wireHints(ws);
+            wireQuestionReveals(ws);
+            restoreRevealLockout(ws);
+            if (ws.exam) syncExamControls(ws);
+        },
+
+        random: function () {
+            return nextRandom(getWorksheetState(this));
+        },
+
+        randomInt: function (min, max) {
+            var lo = Math.ceil(Math.min(min, max));
+            var hi = Math.floor(Math.max(min, max));
+            return lo + Math.floor(nextRandom(getWorksheetState(this)) * (hi - lo + 1));
+        },
+
+        pick: function (list) {
+            if (!list || !list.length) return undefined;
+            return list[Math.floor(nextRandom(getWorksheetState(this)) * list.length)];
+        },
+
+        getSeed: function () {
+            return getWorksheetState(this).currentSeed;
+        },
+
+        answers: answers,
+
+        registerQuestion: function (def) {
+            var ws = getWorksheetState(this);
+            if (!def || def.id == null || def.id === '') {
+                console.warn('ESHEETS: registerQuestion needs an id');
+                return null;
             }
+            var question = addQuestion(ws, def);
+            updateAutoScore(ws);
+            return question.id;
+        },
 
-            document.addEventListener('keydown', function (e) {
-                if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) return;
+        getMarks: function () {
+            return computeMarks(getWorksheetState(this));
+        },
 
-                if (e.ctrlKey && e.altKey && (e.key === 'h' || e.key === 'H')) {
-                    e.preventDefault();
-                    var currentlyTeacher = document.documentElement.classList.contains('esheets-teacher');
-                    setTeacherMode(!currentlyTeacher);
-                }
-            });
+        wireAnswers: function () {
+            wireDeclarativeAnswers(getWorksheetState(this));
         },
 
+        // Older name for answers.register.
+        registerCheck: answers.register,
+
         getProgress: function () {
+            var meta = getWorksheetState(this).meta;
             if (!meta.worksheet_id) return null;
             return getRecord(meta.worksheet_id);
+        },
+
+        exportProgress: function (options) {
+            var body = buildProgressExport();
+            return options && options.format === 'code' ? encodeProgressCode(body) : JSON.stringify(body, null, 2);
+        },
+
+        importProgress: function (input) {
+            return readProgressInput(input).then(function (text) {
+                var result = mergeProgressExport(parseProgressExport(text));
+                refreshSummaries();
+                emit('progress:import', result);
+                return result;
+            });
+        }
+    });
+
+    window.addEventListener('online', function () { flushOutbox(true); });
+    window.addEventListener('pagehide', flushOutboxWithBeacon);
+    document.addEventListener('visibilitychange', function () {
+        if (document.visibilityState === 'hidden') flushOutboxWithBeacon();
+    });
+    window.addEventListener('storage', function (event) {
+        // A null key means another tab cleared storage altogether.
+        if (event.key === OUTBOX_KEY || event.key === null) notifyOutbox();
+
+        if (event.key === STORAGE_KEY || event.key === null) {
+            if (event.newValue !== null) repairLostRecordWrites();
+            refreshSummaries();
+        }
+
+        if (event.key === IDENTITY_KEY || event.key === null) {
+            refreshIdentityBars();
+            emit('identity:change', { identity: getIdentityStorage(), updates: {}, external: true });
         }
     });
 
@@ -1232,13 +4695,18 @@
     if (!window.ESHEETS || window.ESHEETS.__snapshotQInstalled) return;
     window.ESHEETS.__snapshotQInstalled = true;
 
-    var PORTAL_SUBMISSION_URL = 'https://portal.esheets.io/api/submissions';
-    var SNAPSHOT_FORMAT_VERSION = 1;
+    var SNAPSHOT_FORMAT_VERSION = 2;
     var CLIENT_SNAPSHOT_LIMIT = 440 * 1024;
     var CLIENT_REQUEST_LIMIT = 900 * 1024;
+    var SNAPSHOT_ASSET_BUDGET = 160 * 1024;
+    var REDUCED_CANVAS_MAX_WIDTH = 800;
+    var REDUCED_CANVAS_QUALITY = 0.7;
+    var SNAPSHOT_WORKER_TIMEOUT = 20 * 1000;
     var TRACKING_CODE_REGEX = /^[A-HJ-NP-Z2-9]{5}$/;
-    var answerItemsProvider = null;
     var cachedStyleMarkup = null;
+    var snapshotWorker = null;
+    var snapshotWorkerUnavailable = false;
+    var localStringTools = null;
 
     function escapeHtml(value) {
         return String(value == null ? '' : value)
@@ -1278,20 +4746,21 @@
         return map;
     }
 
-    function getAnswerState(sourceRoot, cloneRoot) {
+    function getAnswerState(sourceRoot, elementMap, getAnswerItems) {
         var answerValues = new Map();
         var revealedControls = new Set();
 
-        if (typeof answerItemsProvider !== 'function') {
-            return { answerValues: answerValues, revealedControls: revealedControls };
+        if (typeof getAnswerItems !== 'function') {
+            return { answerValues: answerValues, revealedControls: revealedControls, solutions: [] };
         }
 
-        var items = answerItemsProvider() || [];
+        var items = getAnswerItems() || [];
         if (!Array.isArray(items)) items = Array.prototype.slice.call(items || []);
-        var elementMap = getElementIndexMap(sourceRoot, cloneRoot);
+        var solutions = [];
 
         items.forEach(function (item) {
             if (!item) return;
+            collectSnapshotSolution(item, sourceRoot, elementMap, solutions);
 
             if (item.inputEl && sourceRoot.contains(item.inputEl) && !item.inputEl.classList.contains('es-correct-locked')) {
                 answerValues.set(item.inputEl, item.answer == null ? '' : String(item.answer));
@@ -1306,7 +4775,137 @@
             }
         });
 
-        return { answerValues: answerValues, revealedControls: revealedControls };
+        return { answerValues: answerValues, revealedControls: revealedControls, solutions: solutions };
+    }
+
+    function collectSnapshotSolution(item, sourceRoot, elementMap, solutions) {
+        var html = window.ESHEETS.answers ? window.ESHEETS.answers.solutionHtml(item.solution) : '';
+        var anchor = item.feedbackEl || item.checkBtnEl || item.inputEl;
+        if (!html || !anchor || !sourceRoot.contains(anchor)) return;
+
+        var cloneAnchor = elementMap.get(anchor);
+        var known = solutions.some(function (solution) { return solution.anchor === cloneAnchor; });
+        if (cloneAnchor && !known) solutions.push({ anchor: cloneAnchor, html: html });
+    }
+
+    // Inserted after controls and canvases are matched by position, so solution markup cannot shift them.
+    function insertSnapshotSolutions(answerState) {
+        if (!answerState) return;
+        answerState.solutions.forEach(function (solution) {
+            if (!solution.anchor.parentNode) return;
+            var box = solution.anchor.ownerDocument.createElement('div');
+            box.className = 'es-solution';
+            box.innerHTML = '<div class="es-solution-title">Worked solution</div>' + solution.html;
+            solution.anchor.parentNode.insertBefore(box, solution.anchor.nextSibling);
+        });
+    }
+
+    // The marked view keeps the student's own values (even where an answer was later revealed)
+    // and pairs each item with its submitted response, so ticks match the recorded marks.
+    function getMarkedState(sourceRoot, elementMap, target) {
+        var state = {
+            answerValues: new Map(),
+            revealedControls: new Set(),
+            replacements: new Map(),
+            results: [],
+            questions: [],
+            solutions: []
+        };
+
+        var items = typeof target.getAnswerItems === 'function' ? target.getAnswerItems() || [] : [];
+        if (!Array.isArray(items)) items = Array.prototype.slice.call(items || []);
+        var responses = Array.isArray(target.responses) ? target.responses : [];
+
+        items.filter(Boolean).forEach(function (item, index) {
+            var inputEl = item.inputEl && sourceRoot.contains(item.inputEl) ? item.inputEl : null;
+            var response = responses[index] || {
+                value: null,
+                expected: item.answer == null ? null : String(item.answer),
+                correct: !!(inputEl && inputEl.classList.contains('es-correct-locked') && !inputEl.classList.contains('es-revealed')),
+                revealed: !!(inputEl && inputEl.classList.contains('es-revealed'))
+            };
+            var type = inputEl ? (inputEl.type || '').toLowerCase() : '';
+
+            if (inputEl && response.value != null && type !== 'checkbox' && type !== 'radio') {
+                state.answerValues.set(inputEl, String(response.value));
+            }
+            if (inputEl && response.revealed) state.revealedControls.add(inputEl);
+            if (response.correct !== true) collectSnapshotSolution(item, sourceRoot, elementMap, state.solutions);
+
+            var anchor = item.feedbackEl || item.checkBtnEl;
+            state.results.push({
+                inputEl: inputEl,
+                anchor: !inputEl && anchor && sourceRoot.contains(anchor) ? elementMap.get(anchor) : null,
+                response: response
+            });
+        });
+
+        (target.questionMarks || []).forEach(function (entry) {
+            if (entry.implicit || typeof target.getQuestionElement !== 'function') return;
+            var el = target.getQuestionElement(entry.id);
+            var cloneEl = el && sourceRoot.contains(el) ? elementMap.get(el) : null;
+            if (cloneEl) state.questions.push({ el: cloneEl, entry: entry });
+        });
+
+        return state;
+    }
+
+    function describeQuestionMarks(entry) {
+        var text = (entry.label || entry.id) + ': ' + entry.awarded + ' / ' + entry.marks + (entry.marks === 1 ? ' mark' : ' marks');
+        if (entry.hints_used) text += ' (' + entry.hints_used + (entry.hints_used === 1 ? ' hint' : ' hints') + ' used)';
+        return text;
+    }
+
+    // Like solutions, results are added only once controls have been replaced by position.
+    function insertMarkedResults(markedState, doc) {
+        if (!markedState) return;
+
+        markedState.results.forEach(function (result) {
+            var control = result.inputEl ? markedState.replacements.get(result.inputEl) : result.anchor;
+            if (!control || !control.parentNode) return;
+
+            var response = result.response;
+            var correct = response.correct === true;
+            var mark = doc.createElement('span');
+            mark.className = 'es-marked-result ' + (correct ? 'es-marked-correct' : 'es-marked-incorrect');
+
+            var html = '<span class="es-marked-symbol" aria-label="' + (correct ? 'Correct' : 'Incorrect') + '">' +
+                (correct ? '✓' : '✗') + '</span>';
+            if (!correct && response.expected != null) {
+                html += ' <span class="es-marked-answer">Answer: ' + escapeHtml(response.expected) + '</span>';
+            }
+            if (response.revealed) html += ' <span class="es-marked-note">(revealed)</span>';
+            mark.innerHTML = html;
+
+            if (result.inputEl) control.classList.add(correct ? 'es-marked-correct' : 'es-marked-incorrect');
+            control.parentNode.insertBefore(mark, control.nextSibling);
+        });
+
+        markedState.questions.forEach(function (question) {
+            var badge = doc.createElement('div');
+            badge.className = 'es-marked-question';
+            badge.textContent = describeQuestionMarks(question.entry);
+            question.el.insertBefore(badge, question.el.firstChild);
+        });
+    }
+
+    function describeMarkedSummary(summary, exam) {
+        summary = summary || {};
+        var lines = [];
+        if (typeof summary.score === 'number') {
+            lines.push('Score: ' + summary.score + ' / ' + summary.maxScore +
+                (typeof summary.percent === 'number' ? ' (' + Math.round(summary.percent) + '%)' : ''));
+        }
+        lines.push(exam ? describeExamTiming(exam) : 'Submitted: ' + (summary.submittedAt || new Date().toISOString()));
+        lines.push('Hints used: ' + (summary.hintsUsed || 0));
+        if (summary.revealedBeforeSubmit) {
+            lines.push('Answers were revealed before submitting.');
+        } else if (summary.revealedQuestions && summary.revealedQuestions.length) {
+            lines.push('Answers revealed: ' + summary.revealedQuestions.join(', '));
+        } else {
+            lines.push('No answers were revealed.');
+        }
+        return lines;
     }
 
     function buildStaticControl(sourceControl, cloneControl, doc, answerState) {
@@ -1362,6 +4961,7 @@
         if (sourceControl.disabled) replacement.setAttribute('data-disabled', 'true');
         if (sourceControl.readOnly) replacement.setAttribute('data-readonly', 'true');
         cloneControl.replaceWith(replacement);
+        if (answerState && answerState.replacements) answerState.replacements.set(sourceControl, replacement);
     }
 
     function copyLiveControls(sourceRoot, cloneRoot, doc, answerState) {
@@ -1373,31 +4973,182 @@
         });
     }
 
-    function replaceCanvases(sourceRoot, cloneRoot, doc) {
+    // The reduced form is the fallback for oversized snapshots: narrower, and JPEG instead of PNG.
+    function canvasToDataUrl(canvas, doc, reduced) {
+        if (!reduced) return canvas.toDataURL('image/png');
+
+        var scale = Math.min(1, REDUCED_CANVAS_MAX_WIDTH / (canvas.width || 1));
+        var scaled = doc.createElement('canvas');
+        scaled.width = Math.max(1, Math.round(canvas.width * scale));
+        scaled.height = Math.max(1, Math.round(canvas.height * scale));
+        var context = scaled.getContext('2d');
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, scaled.width, scaled.height);
+        context.drawImage(canvas, 0, 0, scaled.width, scaled.height);
+        return scaled.toDataURL('image/jpeg', REDUCED_CANVAS_QUALITY);
+    }
+
+    // createImageBitmap copies the pixels immediately; the slow PNG/JPEG encoding then happens
+    // asynchronously on an OffscreenCanvas instead of blocking the page in toDataURL.
+    function captureCanvasAsync(canvas, reduced) {
+        var scale = reduced ? Math.min(1, REDUCED_CANVAS_MAX_WIDTH / (canvas.width || 1)) : 1;
+        var width = Math.max(1, Math.round(canvas.width * scale));
+        var height = Math.max(1, Math.round(canvas.height * scale));
+
+        return window.createImageBitmap(canvas).then(function (bitmap) {
+            var offscreen = new window.OffscreenCanvas(width, height);
+            var context = offscreen.getContext('2d');
+            if (reduced) {
+                context.fillStyle = '#fff';
+                context.fillRect(0, 0, width, height);
+            }
+            context.drawImage(bitmap, 0, 0, width, height);
+            if (typeof bitmap.close === 'function') bitmap.close();
+            return offscreen.convertToBlob(reduced
+                ? { type: 'image/jpeg', quality: REDUCED_CANVAS_QUALITY }
+                : { type: 'image/png' });
+        }).then(function (blob) {
+            return callStringTool('blobDataUri', [blob]);
+        }).then(function (dataUri) {
+            if (!dataUri) throw new Error('Canvas could not be encoded.');
+            return dataUri;
+        });
+    }
+
+    function replaceCanvases(sourceRoot, cloneRoot, doc, reduced) {
         var sourceCanvases = Array.prototype.slice.call(sourceRoot.querySelectorAll('canvas'));
         var cloneCanvases = Array.prototype.slice.call(cloneRoot.querySelectorAll('canvas'));
+        var canCaptureAsync = typeof window.createImageBitmap === 'function' && typeof window.OffscreenCanvas === 'function';
+
+        var showFailure = function (element) {
+            var placeholder = doc.createElement('div');
+            placeholder.className = 'es-snapshot-canvas-failure';
+            placeholder.textContent = 'This diagram could not be captured.';
+            element.replaceWith(placeholder);
+        };
 
-        sourceCanvases.forEach(function (sourceCanvas, index) {
+        return Promise.all(sourceCanvases.map(function (sourceCanvas, index) {
             var cloneCanvas = cloneCanvases[index];
-            if (!cloneCanvas) return;
+            if (!cloneCanvas) return null;
+
+            var image = doc.createElement('img');
+            image.className = ((sourceCanvas.className || '') + ' es-snapshot-canvas-image').trim();
+            image.alt = sourceCanvas.getAttribute('aria-label') || 'Captured worksheet diagram';
+            image.width = sourceCanvas.width;
+            image.height = sourceCanvas.height;
+            image.style.maxWidth = '100%';
+            image.style.height = 'auto';
 
+            var captured;
             try {
-                var image = doc.createElement('img');
-                image.className = ((sourceCanvas.className || '') + ' es-snapshot-canvas-image').trim();
-                image.alt = sourceCanvas.getAttribute('aria-label') || 'Captured worksheet diagram';
-                image.src = sourceCanvas.toDataURL('image/png');
-                image.width = sourceCanvas.width;
-                image.height = sourceCanvas.height;
-                image.style.maxWidth = '100%';
-                image.style.height = 'auto';
-                cloneCanvas.replaceWith(image);
+                captured = canCaptureAsync
+                    ? captureCanvasAsync(sourceCanvas, reduced)
+                    : Promise.resolve(canvasToDataUrl(sourceCanvas, doc, reduced));
             } catch (error) {
-                var placeholder = doc.createElement('div');
-                placeholder.className = 'es-snapshot-canvas-failure';
-                placeholder.textContent = 'This diagram could not be captured.';
-                cloneCanvas.replaceWith(placeholder);
+                showFailure(cloneCanvas);
+                return null;
+            }
+            cloneCanvas.replaceWith(image);
+
+            return captured.then(function (dataUri) {
+                image.src = dataUri;
+            }, function () {
+                showFailure(image);
+            });
+        }));
+    }
+
+    // Freezes live state the markup alone does not carry: SVG styling as currently computed,
+    // <details> open state, scroll offsets of overflow containers and contenteditable regions.
+    var SVG_FROZEN_PROPERTIES = [
+        'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+        'opacity', 'visibility', 'font-size', 'font-family', 'font-weight'
+    ];
+
+    function appendInlineStyle(element, declarations) {
+        if (!declarations) return;
+        var existing = (element.getAttribute('style') || '').trim();
+        if (existing && !/;$/.test(existing)) existing += ';';
+        element.setAttribute('style', (existing ? existing + ' ' : '') + declarations);
+    }
+
+    function freezeSvg(sourceSvg, elementMap) {
+        var cloneSvg = elementMap.get(sourceSvg);
+        if (!cloneSvg) return;
+
+        var rect = sourceSvg.getBoundingClientRect();
+        if (!sourceSvg.getAttribute('width') && rect.width) cloneSvg.setAttribute('width', String(Math.round(rect.width)));
+        if (!sourceSvg.getAttribute('height') && rect.height) cloneSvg.setAttribute('height', String(Math.round(rect.height)));
+
+        [sourceSvg].concat(Array.prototype.slice.call(sourceSvg.querySelectorAll('*'))).forEach(function (sourceEl) {
+            if (sourceEl.closest('defs, title, desc, metadata') || /^(style|script)$/i.test(sourceEl.tagName)) return;
+            var cloneEl = elementMap.get(sourceEl);
+            if (!cloneEl) return;
+
+            var computed = window.getComputedStyle(sourceEl);
+            var declarations = SVG_FROZEN_PROPERTIES.map(function (property) {
+                var value = computed.getPropertyValue(property);
+                return value ? property + ': ' + value + ';' : '';
+            }).filter(Boolean);
+            if (computed.getPropertyValue('display') === 'none') declarations.push('display: none;');
+            appendInlineStyle(cloneEl, declarations.join(' '));
+        });
+    }
+
+    // A snapshot cannot carry a scroll offset, so the content is shifted instead and clipped.
+    function freezeScrollPosition(sourceEl, cloneEl) {
+        var left = sourceEl.scrollLeft;
+        var top = sourceEl.scrollTop;
+        cloneEl.setAttribute('data-snapshot-scroll', left + ',' + top);
+        appendInlineStyle(cloneEl, 'overflow: hidden;');
+
+        var shift = 'transform: translate(' + (-left) + 'px, ' + (-top) + 'px);';
+        if (/^(table|thead|tbody|tfoot|tr)$/i.test(cloneEl.tagName)) {
+            Array.prototype.slice.call(cloneEl.children).forEach(function (child) {
+                appendInlineStyle(child, shift);
+            });
+            return;
+        }
+
+        var wrapper = cloneEl.ownerDocument.createElement('div');
+        wrapper.className = 'es-snapshot-scroll';
+        wrapper.setAttribute('style', shift + ' width: max-content; min-width: 100%;');
+        while (cloneEl.firstChild) wrapper.appendChild(cloneEl.firstChild);
+        cloneEl.appendChild(wrapper);
+    }
+
+    function freezeLiveState(sourceRoot, elementMap) {
+        Array.prototype.slice.call(sourceRoot.querySelectorAll('svg')).forEach(function (svg) {
+            if (!svg.parentNode.closest('svg')) freezeSvg(svg, elementMap);
+        });
+
+        Array.prototype.slice.call(sourceRoot.querySelectorAll('details')).forEach(function (details) {
+            var clone = elementMap.get(details);
+            if (!clone) return;
+            if (details.open) {
+                clone.setAttribute('open', '');
+            } else {
+                clone.removeAttribute('open');
             }
         });
+
+        Array.prototype.slice.call(sourceRoot.querySelectorAll('[contenteditable]')).forEach(function (editable) {
+            var clone = elementMap.get(editable);
+            if (!clone || editable.getAttribute('contenteditable') === 'false') return;
+            // cloneNode already copied the typed content; rebuilding it would detach the clone's
+            // children from elementMap, which the answer and marked views rely on.
+            clone.classList.add('es-snapshot-editable');
+            clone.setAttribute('contenteditable', 'false');
+        });
+
+        var scrolled = [sourceRoot].concat(Array.prototype.slice.call(sourceRoot.querySelectorAll('*'))).filter(function (el) {
+            return (el.scrollLeft || el.scrollTop) && !/^(input|textarea|select)$/i.test(el.tagName);
+        });
+        // Innermost first, so an outer wrapper never moves an inner container before it is processed.
+        scrolled.reverse().forEach(function (el) {
+            var clone = elementMap.get(el);
+            if (clone) freezeScrollPosition(el, clone);
+        });
     }
 
     function removeInteractiveUi(cloneRoot) {
@@ -1422,52 +5173,378 @@
 
         Array.prototype.slice.call(cloneRoot.querySelectorAll('*')).forEach(function (element) {
             Array.prototype.slice.call(element.attributes).forEach(function (attribute) {
-                if (/^on/i.test(attribute.name) || attribute.name === 'contenteditable') {
+                if (/^on/i.test(attribute.name) || attribute.name === 'data-es-hints') {
                     element.removeAttribute(attribute.name);
                 }
             });
         });
+
+        // Kept as "false" so [contenteditable] styling still applies to the frozen content.
+        Array.prototype.slice.call(cloneRoot.querySelectorAll('[contenteditable]')).forEach(function (element) {
+            element.setAttribute('contenteditable', 'false');
+        });
+    }
+
+    // Stored snapshots must not depend on live assets, so stylesheets are inlined as text and
+    // images, fonts and backgrounds become data URIs while they fit SNAPSHOT_ASSET_BUDGET.
+    // Anything that cannot be read or does not fit keeps an absolute URL.
+
+    // The string work behind a snapshot: fetching assets as data URIs, rewriting CSS url()s,
+    // joining, measuring and compressing. Its source also runs as the snapshot worker, so it may
+    // only use globals that exist in both places (fetch, Blob, FileReader, Response, btoa, URL).
+    function createSnapshotStringTools() {
+        var CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+        var dataUris = new Map();
+
+        function resolveUrl(input, baseUrl) {
+            try {
+                return new URL(input, baseUrl).href;
+            } catch (error) {
+                return '';
+            }
+        }
+
+        function blobDataUri(blob) {
+            return new Promise(function (resolve) {
+                var reader = new FileReader();
+                reader.onload = function () { resolve(typeof reader.result === 'string' ? reader.result : null); };
+                reader.onerror = function () { resolve(null); };
+                reader.readAsDataURL(blob);
+            });
+        }
+
+        // Resolves to the data URI, or null when it cannot be fetched or exceeds maxLength.
+        function dataUri(url, maxLength) {
+            if (!/^(https?|blob):/i.test(url) || typeof fetch !== 'function') return Promise.resolve(null);
+            if (!dataUris.has(url)) {
+                dataUris.set(url, fetch(url, { credentials: 'same-origin' })
+                    .then(function (response) {
+                        if (!response || !response.ok || typeof response.blob !== 'function') return null;
+                        return response.blob().then(blobDataUri);
+                    })
+                    .catch(function () { return null; }));
+            }
+            return dataUris.get(url).then(function (result) {
+                return result && result.length <= maxLength ? result : null;
+            });
+        }
+
+        function inlineCss(cssText, baseUrl, remaining) {
+            var urls = [];
+            cssText.replace(CSS_URL_PATTERN, function (match, quote, url) {
+                var absolute = /^data:/i.test(url) ? '' : resolveUrl(url.trim(), baseUrl);
+                if (absolute && urls.indexOf(absolute) === -1) urls.push(absolute);
+                return match;
+            });
+
+            var inlined = {};
+            var used = 0;
+            return urls.reduce(function (chain, url) {
+                return chain.then(function () {
+                    return dataUri(url, remaining - used).then(function (result) {
+                        if (!result) return;
+                        inlined[url] = result;
+                        used += result.length;
+                    });
+                });
+            }, Promise.resolve()).then(function () {
+                var css = cssText.replace(CSS_URL_PATTERN, function (match, quote, url) {
+                    if (/^data:/i.test(url)) return match;
+                    var absolute = resolveUrl(url.trim(), baseUrl);
+                    return 'url("' + (inlined[absolute] || absolute || url) + '")';
+                });
+                return { css: css, used: used };
+            });
+        }
+
+        function bytesToBase64(bytes) {
+            var binary = '';
+            for (var i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+            }
+            return btoa(binary);
+        }
+
+        function encode(parts, encoding) {
+            var html = parts.join('');
+            if (encoding !== 'gzip-base64') {
+                return Promise.resolve({ content: html, byteLength: new Blob([html]).size });
+            }
+            var stream = new Response(html).body.pipeThrough(new CompressionStream('gzip'));
+            return new Response(stream).arrayBuffer().then(function (buffer) {
+                var content = bytesToBase64(new Uint8Array(buffer));
+                return { content: content, byteLength: content.length };
+            });
+        }
+
+        return { blobDataUri: blobDataUri, dataUri: dataUri, inlineCss: inlineCss, encode: encode };
+    }
+
+    function getSnapshotWorker() {
+        if (snapshotWorker || snapshotWorkerUnavailable) return snapshotWorker;
+        snapshotWorkerUnavailable = true;
+        if (typeof window.Worker !== 'function' || typeof URL.createObjectURL !== 'function') return null;
+
+        try {
+            var source = "'use strict';\nvar tools = (" + createSnapshotStringTools.toString() + ')();\n' +
+                'self.onmessage = function (event) {\n' +
+                '    var message = event.data;\n' +
+                '    Promise.resolve().then(function () { return tools[message.method].apply(null, message.args); })\n' +
+                '        .then(function (result) { self.postMessage({ id: message.id, result: result }); },\n' +
+                '            function (error) { self.postMessage({ id: message.id, error: String(error && error.message || error) }); });\n' +
+                '};\n';
+            var url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            var worker;
+            try {
+                worker = new Worker(url);
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+            var state = { worker: worker, pending: new Map(), nextId: 1 };
+
+            worker.onmessage = function (event) {
+                var entry = state.pending.get(event.data.id);
+                if (!entry) return;
+                state.pending.delete(event.data.id);
+                if ('error' in event.data) {
+                    entry.reject(new Error(event.data.error));
+                } else {
+                    entry.resolve(event.data.result);
+                }
+            };
+            worker.onerror = function () {
+                disableSnapshotWorker(state, 'Snapshot worker failed');
+            };
+
+            snapshotWorker = state;
+            snapshotWorkerUnavailable = false;
+        } catch (error) {
+            snapshotWorker = null;
+        }
+        return snapshotWorker;
+    }
+
+    // A worker blocked by CSP, crashed or stuck is not tried again on this page; whatever it
+    // still owed finishes on the main thread instead.
+    function disableSnapshotWorker(state, reason) {
+        if (snapshotWorker === state) snapshotWorker = null;
+        snapshotWorkerUnavailable = true;
+        state.worker.terminate();
+        state.pending.forEach(function (entry) { entry.reject(new Error(reason)); });
+        state.pending.clear();
+    }
+
+    function callStringTool(method, args) {
+        var runLocally = function () {
+            if (!localStringTools) localStringTools = createSnapshotStringTools();
+            return localStringTools[method].apply(null, args);
+        };
+
+        var state = getSnapshotWorker();
+        if (!state) return Promise.resolve().then(runLocally);
+
+        return new Promise(function (resolve, reject) {
+            var id = state.nextId++;
+            var timer = window.setTimeout(function () {
+                if (state.pending.has(id)) disableSnapshotWorker(state, 'Snapshot worker timed out');
+            }, SNAPSHOT_WORKER_TIMEOUT);
+            var settle = function (fn) {
+                return function (value) {
+                    window.clearTimeout(timer);
+                    fn(value);
+                };
+            };
+            state.pending.set(id, { resolve: settle(resolve), reject: settle(reject) });
+            try {
+                state.worker.postMessage({ id: id, method: method, args: args });
+            } catch (error) {
+                state.pending.delete(id);
+                window.clearTimeout(timer);
+                throw error;
+            }
+        }).catch(runLocally);
+    }
+
+    function isSameOrigin(url) {
+        try {
+            return new URL(url, window.location.href).origin === window.location.origin;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function inlineCssUrls(cssText, baseUrl, budget) {
+        return callStringTool('inlineCss', [cssText, baseUrl, budget.remaining]).then(function (result) {
+            budget.remaining -= result.used;
+            return result.css;
+        });
+    }
+
+    function inlineAsset(url, budget) {
+        return callStringTool('dataUri', [url, budget.remaining]).then(function (dataUri) {
+            if (dataUri) budget.remaining -= dataUri.length;
+            return dataUri;
+        });
+    }
+
+    // url()s in an imported sheet are relative to that sheet, not to the one that imported it,
+    // so they are made absolute before the text is flattened into its parent.
+    function resolveCssUrls(cssText, baseUrl) {
+        return cssText.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, function (match, quote, url) {
+            if (/^(data:|#)/i.test(url.trim())) return match;
+            var absolute = normaliseUrl(url.trim(), baseUrl);
+            return absolute ? 'url("' + absolute + '")' : match;
+        });
+    }
+
+    function readSheetText(sheet) {
+        var rules = sheet.cssRules;
+        return Array.prototype.slice.call(rules).map(function (rule) {
+            if (rule.styleSheet && rule.href !== undefined) {
+                try {
+                    var text = readSheetText(rule.styleSheet);
+                    var href = rule.styleSheet.href || normaliseUrl(rule.href, sheet.href || window.location.href);
+                    return href ? resolveCssUrls(text, href) : text;
+                } catch (error) {
+                    return rule.cssText;
+                }
+            }
+            return rule.cssText;
+        }).join('\n');
+    }
+
+    function readStyleElement(element, baseUrl) {
+        var isLink = element.tagName.toLowerCase() === 'link';
+        var href = isLink ? normaliseUrl(element.getAttribute('href'), baseUrl) : '';
+        var media = element.getAttribute('media');
+
+        var text = null;
+        try {
+            if (element.sheet) text = readSheetText(element.sheet);
+        } catch (error) {
+            text = null;
+        }
+        if (text === null && !isLink) text = element.textContent || '';
+
+        var loaded = text !== null
+            ? Promise.resolve(text)
+            : (href && isSameOrigin(href) && typeof window.fetch === 'function'
+                ? window.fetch(href, { credentials: 'same-origin' })
+                    .then(function (response) { return response && response.ok ? response.text() : null; })
+                    .catch(function () { return null; })
+                : Promise.resolve(null));
+
+        return loaded.then(function (css) {
+            return { css: css, href: href, media: media && media !== 'all' ? media : '' };
+        });
     }
 
     function collectStyleMarkup(sourceDocument) {
         if (cachedStyleMarkup !== null) return cachedStyleMarkup;
 
         var baseUrl = sourceDocument.location.href;
-        var linkedStyles = Array.prototype.slice.call(sourceDocument.querySelectorAll('link[rel~="stylesheet"]'))
-            .map(function (link) {
-                var href = normaliseUrl(link.getAttribute('href'), baseUrl);
-                return href ? '<link rel="stylesheet" href="' + escapeHtml(href) + '">' : '';
-            })
-            .filter(Boolean)
-            .join('\n');
+        var budget = { remaining: SNAPSHOT_ASSET_BUDGET };
+        var elements = Array.prototype.slice.call(sourceDocument.querySelectorAll('link[rel~="stylesheet"], style'));
+
+        cachedStyleMarkup = elements.reduce(function (chain, element) {
+            return chain.then(function (parts) {
+                return readStyleElement(element, baseUrl).then(function (sheet) {
+                    if (sheet.css === null) {
+                        // Unreadable cross-origin sheet: the live link is the best we can keep.
+                        if (sheet.href) parts.push('<link rel="stylesheet" href="' + escapeHtml(sheet.href) + '">');
+                        return parts;
+                    }
+                    return inlineCssUrls(sheet.css, sheet.href || baseUrl, budget).then(function (css) {
+                        if (sheet.media) css = '@media ' + sheet.media + ' {\n' + css + '\n}';
+                        parts.push('<style>' + css.replace(/<\/style/gi, '<\\/style') + '</style>');
+                        return parts;
+                    });
+                });
+            });
+        }, Promise.resolve([])).then(function (parts) {
+            return { markup: parts.join('\n'), assetBytes: SNAPSHOT_ASSET_BUDGET - budget.remaining };
+        });
+        return cachedStyleMarkup;
+    }
 
-        var inlineStyles = Array.prototype.slice.call(sourceDocument.querySelectorAll('style'))
-            .map(function (style) { return '<style>' + (style.textContent || '') + '</style>'; })
-            .join('\n');
+    function inlineImages(cloneRoot, baseUrl, budget) {
+        var images = Array.prototype.slice.call(cloneRoot.querySelectorAll('img[src]'));
+        var styled = Array.prototype.slice.call(cloneRoot.querySelectorAll('[style*="url"]'));
+
+        var chain = images.reduce(function (previous, image) {
+            return previous.then(function () {
+                var src = image.getAttribute('src');
+                if (/^data:/i.test(src)) return null;
+                var absolute = normaliseUrl(src, baseUrl);
+                image.setAttribute('src', absolute || src);
+                return inlineAsset(absolute, budget).then(function (dataUri) {
+                    if (!dataUri) return;
+                    image.setAttribute('src', dataUri);
+                    image.removeAttribute('srcset');
+                    image.removeAttribute('sizes');
+                    if (image.parentNode && image.parentNode.tagName.toLowerCase() === 'picture') {
+                        Array.prototype.slice.call(image.parentNode.querySelectorAll('source')).forEach(function (source) {
+                            source.remove();
+                        });
+                    }
+                });
+            });
+        }, Promise.resolve());
+
+        var svgImages = Array.prototype.slice.call(cloneRoot.querySelectorAll('svg image'));
+        chain = svgImages.reduce(function (previous, image) {
+            return previous.then(function () {
+                var attribute = image.hasAttribute('href') ? 'href' : 'xlink:href';
+                var href = image.getAttribute(attribute);
+                if (!href || /^data:/i.test(href)) return null;
+                var absolute = normaliseUrl(href, baseUrl);
+                return inlineAsset(absolute, budget).then(function (dataUri) {
+                    image.setAttribute(attribute, dataUri || absolute || href);
+                });
+            });
+        }, chain);
 
-        cachedStyleMarkup = linkedStyles + '\n' + inlineStyles;
-        return cachedStyleMarkup;
+        return styled.reduce(function (previous, element) {
+            return previous.then(function () {
+                return inlineCssUrls(element.getAttribute('style'), baseUrl, budget).then(function (style) {
+                    element.setAttribute('style', style);
+                });
+            });
+        }, chain);
     }
 
-    function createSnapshot(sourceDocument, kind) {
-        var sourceRoot = sourceDocument.querySelector('.esheets-worksheet');
+    function createSnapshot(sourceDocument, kind, target) {
+        target = target || {};
+        var sourceRoot = target.root || sourceDocument.querySelector('.esheets-worksheet');
         if (!sourceRoot) throw new Error('No worksheet container was found.');
 
         var isAnswers = kind === 'answers';
+        var isMarked = kind === 'marked';
         var cloneRoot = sourceRoot.cloneNode(true);
-        var answerState = isAnswers ? getAnswerState(sourceRoot, cloneRoot) : null;
+        var elementMap = getElementIndexMap(sourceRoot, cloneRoot);
+        var answerState = isAnswers ? getAnswerState(sourceRoot, elementMap, target.getAnswerItems) : null;
+        if (isMarked) answerState = getMarkedState(sourceRoot, elementMap, target);
 
+        freezeLiveState(sourceRoot, elementMap);
         copyLiveControls(sourceRoot, cloneRoot, sourceDocument, answerState);
-        replaceCanvases(sourceRoot, cloneRoot, sourceDocument);
+        var canvasesCaptured = replaceCanvases(sourceRoot, cloneRoot, sourceDocument, !!target.reduceCanvases);
+        if (isMarked) insertMarkedResults(answerState, sourceDocument);
+        insertSnapshotSolutions(answerState);
         removeInteractiveUi(cloneRoot);
 
         var title = sourceDocument.title || 'Worksheet snapshot';
         var sourceUrl = sourceDocument.location.href;
         var capturedAt = new Date().toISOString();
-        var heading = isAnswers ? 'Worksheet answer view' : 'Student response';
-        var note = isAnswers
-            ? 'Captured from the worksheet’s own answer provider.'
-            : 'Captured from the student’s marked worksheet state.';
+        var seed = target.seed || null;
+        var heading = isMarked ? 'Marked worksheet' : isAnswers ? 'Worksheet answer view' : 'Student response';
+        var note = isMarked
+            ? 'The student’s answers, with the correct answer beside each one that was not right.'
+            : isAnswers
+                ? 'Captured from the worksheet’s own answer provider.'
+                : 'Captured from the student’s marked worksheet state.';
+        var details = isMarked
+            ? describeMarkedSummary(target.summary, target.exam)
+            : [].concat(target.exam ? [describeExamTiming(target.exam)] : []);
 
         var snapshotCss = [
             'html { background: #f3f4f6; }',
@@ -1480,30 +5557,63 @@
             '.es-snapshot-control.es-correct-locked, .es-snapshot-control.correct, .correct .es-snapshot-control { border-color: #198754; background: #d1e7dd; }',
             '.es-snapshot-control.incorrect, .incorrect .es-snapshot-control { border-color: #dc3545; background: #f8d7da; }',
             '.es-snapshot-control.es-revealed { border-color: #8a6d1d; background: #fff3cd; }',
+            '.es-solution { margin: 0.35rem 0; padding: 0.4rem 0.6rem; border-left: 3px solid #8a6d1d; background: #fffdf3; font-size: 0.9em; }',
+            '.es-solution-title { font-weight: 600; }',
             '.es-snapshot-canvas-image { display: block; }',
-            '.es-snapshot-canvas-failure { padding: 1rem; border: 2px dashed #b42318; color: #b42318; background: #fff; }'
+            '.es-snapshot-editable { white-space: pre-wrap; }',
+            '.es-snapshot-canvas-failure { padding: 1rem; border: 2px dashed #b42318; color: #b42318; background: #fff; }',
+            '.es-snapshot-control.es-marked-correct { border-color: #198754; background: #d1e7dd; }',
+            '.es-snapshot-control.es-marked-incorrect { border-color: #dc3545; background: #f8d7da; }',
+            '.es-marked-result { display: inline-block; margin: 0 0.25em; font-size: 0.9em; vertical-align: middle; }',
+            '.es-marked-correct .es-marked-symbol { color: #198754; font-weight: 700; }',
+            '.es-marked-incorrect .es-marked-symbol { color: #dc3545; font-weight: 700; }',
+            '.es-marked-answer { padding: 0.1em 0.35em; border: 1px solid #198754; border-radius: 4px; background: #fff; }',
+            '.es-marked-note { color: #8a6d1d; font-style: italic; }',
+            '.es-marked-question { margin: 0 0 0.35rem; font: 600 13px/1.4 system-ui, sans-serif; color: #374151; }',
+            '@media print { html, body { background: #fff; padding: 0; } .es-snapshot-meta { border-color: #999; background: #fff; } ' +
+                '.es-marked-question, .es-solution { break-inside: avoid; } }'
         ].join('\n');
 
-        var html = '<!doctype html>\n' +
-            '<html lang="en" data-snapshot-kind="' + (isAnswers ? 'answers' : 'student') + '">\n' +
-            '<head>\n<meta charset="utf-8">\n' +
-            '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
-            '<base href="' + escapeHtml(sourceUrl) + '">\n' +
-            '<title>' + escapeHtml(title) + ' — ' + escapeHtml(isAnswers ? 'worksheet answers' : 'student response') + '</title>\n' +
-            collectStyleMarkup(sourceDocument) + '\n<style>' + snapshotCss + '</style>\n</head>\n<body>\n' +
-            '<div class="es-snapshot-meta"><strong>' + escapeHtml(heading) + '</strong><br>' +
-            escapeHtml(note) + '<br>Captured: ' + escapeHtml(capturedAt) + '</div>\n' +
-            cloneRoot.outerHTML + '\n</body>\n</html>';
+        var styles = null;
+        return canvasesCaptured
+            .then(function () {
+                return collectStyleMarkup(sourceDocument);
+            })
+            .then(function (collected) {
+                styles = collected;
+                return inlineImages(cloneRoot, sourceUrl, { remaining: SNAPSHOT_ASSET_BUDGET - collected.assetBytes });
+            })
+            .then(function () {
+                var head = '<!doctype html>\n' +
+                    '<html lang="en" data-snapshot-kind="' + (isMarked ? 'marked' : isAnswers ? 'answers' : 'student') + '">\n' +
+                    '<head>\n<meta charset="utf-8">\n' +
+                    '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+                    '<base href="' + escapeHtml(sourceUrl) + '">\n' +
+                    '<title>' + escapeHtml(title) + ' — ' + escapeHtml(isMarked ? 'marked' : isAnswers ? 'worksheet answers' : 'student response') + '</title>\n';
+                var meta = '\n<style>' + snapshotCss + '</style>\n</head>\n<body>\n' +
+                    '<div class="es-snapshot-meta"><strong>' + escapeHtml(heading) + '</strong><br>' +
+                    escapeHtml(note) + '<br>Captured: ' + escapeHtml(capturedAt) +
+                    (seed ? '<br>Question set: ' + escapeHtml(seed) : '') +
+                    details.map(function (line) { return '<br>' + escapeHtml(line); }).join('') + '</div>\n';
+
+                // Serialising the clone is the only part that needs the DOM; joining, measuring and
+                // compressing the pieces happens in the worker.
+                return callStringTool('encode', [
+                    [head, styles.markup, meta, cloneRoot.outerHTML, '\n</body>\n</html>'],
+                    target.encoding || 'none'
+                ]);
+            });
+    }
 
-        return {
-            html: html,
-            byteLength: new Blob([html]).size
-        };
+    function formatDuration(seconds) {
+        var total = Math.max(0, Math.round(seconds || 0));
+        return Math.floor(total / 60) + 'm ' + (total % 60) + 's';
     }
 
-    function isPortalSubmissionRequest(input) {
-        var url = typeof input === 'string' ? input : (input && input.url ? input.url : '');
-        return String(url || '').replace(/\/+$/, '') === PORTAL_SUBMISSION_URL;
+    function describeExamTiming(exam) {
+        var text = 'Exam time taken: ' + formatDuration(exam.timeTaken);
+        if (exam.timeLimit) text += ' of ' + formatDuration(exam.timeLimit);
+        return text + (exam.expired ? ' (time ran out)' : '');
     }
 
     function isTrackedPayload(payload) {
@@ -1512,92 +5622,142 @@
             TRACKING_CODE_REGEX.test(String(payload.task_code || '').trim().toUpperCase());
     }
 
-    function sendWithSnapshots(originalFetch, input, init, payload) {
-        var amended = {};
-        Object.keys(init || {}).forEach(function (key) { amended[key] = init[key]; });
+    function canCompressSnapshots() {
+        return typeof window.CompressionStream === 'function' && typeof window.Response === 'function';
+    }
+
+    // Resolves to { content } or { omitted: reason }. An oversized snapshot is retried once with
+    // reduced canvas images before it is given up.
+    function captureSnapshot(kind, target, encoding) {
+        var attempt = function (reduceCanvases) {
+            var options = Object.assign({}, target, { reduceCanvases: reduceCanvases, encoding: encoding });
+            return Promise.resolve().then(function () { return createSnapshot(document, kind, options); });
+        };
+        var hasCanvases = !!(target.root || document).querySelector('canvas');
+
+        return attempt(false)
+            .then(function (encoded) {
+                if (encoded.byteLength <= CLIENT_SNAPSHOT_LIMIT || !hasCanvases) return encoded;
+                return nextBrowserTurn().then(function () { return attempt(true); });
+            })
+            .then(function (encoded) {
+                if (encoded.byteLength <= CLIENT_SNAPSHOT_LIMIT) return { content: encoded.content };
+                console.warn('ESHEETS: ' + kind + ' snapshot exceeded the client size limit and was omitted.');
+                return { omitted: 'too_large' };
+            }, function (error) {
+                console.warn('ESHEETS: ' + kind + ' snapshot capture failed', error);
+                return { omitted: 'capture_failed' };
+            });
+    }
+
+    function snapshotStep(payload, context) {
+        if (!context.tracked || !isTrackedPayload(payload)) return payload;
+
+        var target = {
+            root: context.root,
+            getAnswerItems: context.getAnswerItems,
+            getQuestionElement: context.getQuestionElement,
+            seed: payload.seed,
+            responses: payload.responses,
+            questionMarks: payload.question_marks,
+            summary: {
+                score: payload.score,
+                maxScore: payload.maxScore,
+                percent: payload.percent,
+                submittedAt: payload.submittedAt,
+                hintsUsed: payload.hints_used,
+                revealedBeforeSubmit: payload.revealed_before_submit,
+                revealedQuestions: payload.revealed_questions
+            }
+        };
+        if (payload.mode === 'exam') {
+            target.exam = { timeLimit: payload.time_limit, timeTaken: payload.time_taken, expired: payload.timer_expired };
+        }
+        var encoding = canCompressSnapshots() ? 'gzip-base64' : 'none';
+
+        var progress = typeof context.progress === 'function' ? context.progress : function () { };
 
+        progress('Recording... capturing your work');
         return nextBrowserTurn()
             .then(function () {
-                try {
-                    var student = createSnapshot(document, 'student');
-                    if (student.byteLength <= CLIENT_SNAPSHOT_LIMIT) {
-                        payload.student_snapshot_html = student.html;
-                    } else {
-                        console.warn('ESHEETS: student snapshot exceeded the client size limit and was omitted.');
-                    }
-                } catch (error) {
-                    console.warn('ESHEETS: student snapshot capture failed', error);
+                return captureSnapshot('student', target, encoding);
+            })
+            .then(function (student) {
+                if (student.omitted) {
+                    payload.snapshot_omitted_reason = 'student_' + student.omitted;
+                    return null;
                 }
-                return nextBrowserTurn();
+                payload.student_snapshot_html = student.content;
+                if (typeof target.getAnswerItems !== 'function') return null;
+                progress('Recording... capturing the answers');
+                return nextBrowserTurn().then(function () {
+                    return captureSnapshot('answers', target, encoding);
+                });
             })
-            .then(function () {
-                if (!payload.student_snapshot_html || typeof answerItemsProvider !== 'function') return;
-                try {
-                    var answers = createSnapshot(document, 'answers');
-                    if (answers.byteLength <= CLIENT_SNAPSHOT_LIMIT) {
-                        payload.answer_snapshot_html = answers.html;
-                    } else {
-                        console.warn('ESHEETS: answer snapshot exceeded the client size limit and was omitted.');
-                    }
-                } catch (error) {
-                    console.warn('ESHEETS: answer snapshot capture failed', error);
+            .then(function (answers) {
+                if (!answers) return null;
+                if (answers.omitted) {
+                    payload.snapshot_omitted_reason = 'answers_' + answers.omitted;
+                } else {
+                    payload.answer_snapshot_html = answers.content;
+                }
+                progress('Recording... marking your work');
+                return nextBrowserTurn().then(function () {
+                    return captureSnapshot('marked', target, encoding);
+                });
+            })
+            .then(function (marked) {
+                if (!marked) return;
+                if (marked.omitted) {
+                    payload.snapshot_omitted_reason = payload.snapshot_omitted_reason || 'marked_' + marked.omitted;
+                } else {
+                    payload.marked_snapshot_html = marked.content;
                 }
             })
             .catch(function (error) {
                 console.warn('ESHEETS: snapshot preparation failed; submitting the score without snapshots.', error);
+                payload.snapshot_omitted_reason = 'student_capture_failed';
             })
             .then(function () {
                 if (payload.student_snapshot_html) {
                     payload.snapshot_format_version = SNAPSHOT_FORMAT_VERSION;
+                    payload.snapshot_encoding = encoding;
                 } else {
-                    delete payload.answer_snapshot_html;
-                    delete payload.snapshot_format_version;
-                }
-
-                var body = JSON.stringify(payload);
-                if (new Blob([body]).size > CLIENT_REQUEST_LIMIT && payload.answer_snapshot_html) {
-                    delete payload.answer_snapshot_html;
-                    body = JSON.stringify(payload);
-                }
-                if (new Blob([body]).size > CLIENT_REQUEST_LIMIT && payload.student_snapshot_html) {
                     delete payload.student_snapshot_html;
+                    delete payload.answer_snapshot_html;
+                    delete payload.marked_snapshot_html;
                     delete payload.snapshot_format_version;
-                    body = JSON.stringify(payload);
-                    console.warn('ESHEETS: combined snapshot request exceeded the client size limit; submitting the score only.');
+                    delete payload.snapshot_encoding;
                 }
-
-                amended.body = body;
-                return originalFetch(input, amended);
+                return payload;
             });
     }
 
-    var originalFetch = window.fetch && window.fetch.bind(window);
-    if (originalFetch) {
-        window.fetch = function (input, init) {
-            if (!isPortalSubmissionRequest(input) || !init || typeof init.body !== 'string') {
-                return originalFetch(input, init);
-            }
-
-            var payload;
-            try {
-                payload = JSON.parse(init.body);
-            } catch (error) {
-                return originalFetch(input, init);
-            }
+    function requestBudgetStep(payload) {
+        if (!payload.student_snapshot_html) return payload;
 
-            if (!isTrackedPayload(payload)) return originalFetch(input, init);
-            return sendWithSnapshots(originalFetch, input, init, payload);
-        };
+        // The marked copy only combines what the other two show, so it is the first to go.
+        if (new Blob([JSON.stringify(payload)]).size > CLIENT_REQUEST_LIMIT && payload.marked_snapshot_html) {
+            delete payload.marked_snapshot_html;
+            payload.snapshot_omitted_reason = 'marked_request_too_large';
+        }
+        if (new Blob([JSON.stringify(payload)]).size > CLIENT_REQUEST_LIMIT && payload.answer_snapshot_html) {
+            delete payload.answer_snapshot_html;
+            payload.snapshot_omitted_reason = 'answers_request_too_large';
+        }
+        if (new Blob([JSON.stringify(payload)]).size > CLIENT_REQUEST_LIMIT) {
+            delete payload.student_snapshot_html;
+            delete payload.snapshot_format_version;
+            delete payload.snapshot_encoding;
+            payload.snapshot_omitted_reason = 'student_request_too_large';
+            console.warn('ESHEETS: combined snapshot request exceeded the client size limit; submitting the score only.');
+        }
+        return payload;
     }
 
-    var originalMountTeacherPanel = window.ESHEETS.mountTeacherPanel;
-    if (typeof originalMountTeacherPanel === 'function') {
-        window.ESHEETS.mountTeacherPanel = function (config) {
-            answerItemsProvider = config && typeof config.getAnswerItems === 'function'
-                ? config.getAnswerItems
-                : null;
-            return originalMountTeacherPanel.apply(this, arguments);
-        };
+    if (typeof window.ESHEETS.useSubmissionStep === 'function') {
+        window.ESHEETS.useSubmissionStep(snapshotStep, { stage: 'snapshots' });
+        window.ESHEETS.useSubmissionStep(requestBudgetStep, { stage: 'budget' });
     }
 
     function trackedLaunchVisible() {
@@ -1614,8 +5774,9 @@
         }
     }
 
-    function revealLockoutVisible() {
-        return Array.prototype.slice.call(document.querySelectorAll('.es-lockout-message')).some(function (message) {
+    // Per-question reveals (data-es-partial) leave recording open.
+    function revealLockoutVisible(scope) {
+        return Array.prototype.slice.call((scope || document).querySelectorAll('.es-lockout-message:not([data-es-partial])')).some(function (message) {
             return window.getComputedStyle(message).display !== 'none';
         });
     }
@@ -1627,22 +5788,23 @@
             if (!result || !result.recordBtn || !trackedLaunchVisible()) return result;
 
             var button = result.recordBtn;
+            var scope = button.closest('.esheets-worksheet') || document;
             var originalUpdateState = result.updateState;
 
             result.updateState = function () {
                 if (typeof originalUpdateState === 'function') originalUpdateState.apply(result, arguments);
-                if (!revealLockoutVisible() && button.textContent !== 'Recording...') {
+                if (!revealLockoutVisible(scope) && button.textContent.indexOf('Recording') !== 0) {
                     button.disabled = false;
                     if (button.textContent === 'Recorded!') button.textContent = 'Record my score';
                 }
             };
 
             window.setTimeout(function () {
-                if (!revealLockoutVisible() && button.textContent !== 'Recording...') button.disabled = false;
+                if (!revealLockoutVisible(scope) && button.textContent.indexOf('Recording') !== 0) button.disabled = false;
             }, 0);
 
             var labelObserver = new MutationObserver(function () {
-                if (button.textContent === 'Recorded!' && !revealLockoutVisible()) {
+                if (button.textContent === 'Recorded!' && !revealLockoutVisible(scope)) {
                     window.setTimeout(function () {
                         button.textContent = 'Record my score';
                         button.disabled = false;